@@ -8,12 +8,80 @@ const Schema = require('../models/schema.model');
 const History = require('../models/history.model');
 
 // Import core library generators and utils
-const { generateRecord, generateRecords } = require('../../core/generators/recordGenerators');
-const { toJSON, toCSV, toSQL, exportData } = require('../../core/utils/exportUtils');
+const {
+  generateRecord,
+  generateRecords,
+  generateRelatedRecords,
+  createRecordStream
+} = require('../../core/generators/recordGenerators');
+const { createContext } = require('../../core/generators/context');
+const { generateInvalidRecords } = require('../../core/generators/negativeTests');
+const { generateScenario } = require('../../core/generators/scenarios');
+const { generateTree, buildClosureTable } = require('../../core/generators/trees');
+const { generateGraph } = require('../../core/generators/graphs');
+const { generateMutations } = require('../../core/generators/mutations');
+const {
+  streamRecordsParallel,
+  summarizeRun
+} = require('../../core/generators/parallelGenerators');
+const { Readable } = require('stream');
+const { toJSON, toCSV, toSQL, exportData, exportStream } = require('../../core/utils/exportUtils');
 const { makeRequest, sendData } = require('../../core/utils/apiUtils');
 
 /**
- * Generate mock data from a schema
+ * Load a schema for generation, either from the database or from inline data
+ * @param {object} source - Schema source with schemaId or schemaData
+ * @param {string} userId - ID of the requesting user
+ * @returns {Promise<object>} Internal schema representation
+ */
+async function loadSchema({ schemaId, schemaData }, userId) {
+  if (schemaId) {
+    const schema = await Schema.findById(schemaId);
+    
+    // Check if schema exists
+    if (!schema) {
+      const error = new Error('Schema not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    // Check if user can access this schema
+    if (!schema.canAccess(userId)) {
+      const error = new Error('You do not have permission to access this schema');
+      error.statusCode = 403;
+      throw error;
+    }
+    
+    // Convert schema to internal format
+    return schema.toInternalSchema();
+  }
+  
+  if (schemaData) {
+    return schemaData;
+  }
+  
+  const error = new Error('Either schemaId or schemaData must be provided');
+  error.statusCode = 400;
+  throw error;
+}
+
+/**
+ * Build a Content-Disposition header for a download
+ * The plain filename keeps to printable ASCII for older clients; `filename*` carries
+ * the full name percent-encoded as UTF-8 (RFC 5987).
+ * @param {string} fileName - Name of the downloaded file
+ * @returns {string} Header value
+ */
+function attachmentHeader(fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Generate mock data from a schema, or from several related schemas
  * @route POST /api/generate
  * @access Private
  */
@@ -36,9 +104,22 @@ exports.generateData = async (req, res, next) => {
       format = 'json',
       exportOptions = {},
       saveHistory = true,
-      apiDestination
+      apiDestination,
+      schemas,
+      relations = [],
+      scenario,
+      seed,
+      refDate,
+      edgeCases,
+      negative,
+      tree,
+      graph,
+      mutations
     } = req.body;
 
+    // Every job owns its seeded random engine; the seed is recorded so the job can be reproduced
+    const context = createContext({ seed, refDate, edgeCases });
+
     // Initialize history tracking
     const historyData = {
       owner: req.user._id,
@@ -47,6 +128,10 @@ exports.generateData = async (req, res, next) => {
         format,
         exportOptions
       },
+      seed: context.seed,
+      refDate: context.refDate,
+      edgeCases: context.edgeCases,
+      negative: Boolean(negative),
       status: 'pending',
       statistics: {
         startTime: Date.now()
@@ -54,9 +139,29 @@ exports.generateData = async (req, res, next) => {
     };
 
     let schema;
+    let edgeSchema = null;
+    const schemaMap = {};
+    const schemaOptions = {};
+    const scenarioTables = {};
     
+    // Get scenario - tables with their schemas, sizes and relations
+    if (scenario) {
+      for (const [tableName, table] of Object.entries(scenario.tables || {})) {
+        scenarioTables[tableName] = {
+          ...table,
+          schema: table.schema || await loadSchema(table, req.user._id)
+        };
+      }
+    }
+    // Get schemas - several named schemas whose fields may reference each other
+    else if (schemas) {
+      for (const [schemaName, source] of Object.entries(schemas)) {
+        schemaMap[schemaName] = await loadSchema(source, req.user._id);
+        schemaOptions[schemaName] = { count: source.count || count };
+      }
+    }
     // Get schema - either from database or from request body
-    if (schemaId) {
+    else if (schemaId) {
       schema = await Schema.findById(schemaId);
       
       // Check if schema exists
@@ -88,15 +193,60 @@ exports.generateData = async (req, res, next) => {
       });
     }
 
+    // Get edge schema - the attributes of a graph's edges, if any
+    if (graph && (graph.edgeSchemaId || graph.edgeSchemaData)) {
+      edgeSchema = await loadSchema({ schemaId: graph.edgeSchemaId, schemaData: graph.edgeSchemaData }, req.user._id);
+    }
+
     try {
       // Generate mock data
       const startTime = Date.now();
-      const records = await generateRecords(schema, { count });
+      let records;
+      let datasets = null;
+      let graphData = null;
+      
+      if (scenario) {
+        // Datasets are keyed by table name
+        datasets = generateScenario({ ...scenario, tables: scenarioTables }, { context });
+        records = Object.values(datasets).flat();
+      } else if (schemas) {
+        // Datasets are keyed by schema name, in dependency order
+        datasets = generateRelatedRecords(schemaMap, relations, { ...schemaOptions, context });
+        records = Object.values(datasets).flat();
+      } else if (tree) {
+        // Records of the same schema arranged as a hierarchy, with an optional closure table
+        records = generateTree(schema, { ...tree, context });
+        if (tree.closure && tree.output !== 'nested') {
+          datasets = { nodes: records, closure: buildClosureTable(records, tree) };
+        }
+      } else if (graph) {
+        // Node and edge records; graph formats export them together
+        graphData = generateGraph(schema, edgeSchema, { ...graph, count, context });
+        datasets = { nodes: graphData.nodes, edges: graphData.edges };
+        records = [...graphData.nodes, ...graphData.edges];
+      } else if (mutations) {
+        // Change events over the given records, or over records generated first
+        const dataset = mutations.records || generateRecords(schema, { count, name: mutations.name, context });
+        records = generateMutations(schema, dataset, { ...mutations, count: mutations.count || count, context });
+        if (!mutations.records) {
+          datasets = { records: dataset, mutations: records };
+        }
+      } else if (negative) {
+        // One invalid record per violated constraint, unless a count is asked for
+        records = generateInvalidRecords(schema, { count: req.body.count, context });
+      } else {
+        records = await generateRecords(schema, { count, context });
+      }
       const generationTime = Date.now() - startTime;
       
       // Update history statistics
       historyData.statistics.recordCount = records.length;
       historyData.statistics.generationTime = generationTime;
+      historyData.statistics.recordsPerSecond = summarizeRun(records.length, startTime).recordsPerSecond;
+      
+      // Constraints some records could not satisfy are reported rather than failing the job
+      const violations = Object.keys(context.violations).length > 0 ? context.violations : undefined;
+      historyData.violations = violations;
       
       let result;
       let apiResponse = null;
@@ -112,7 +262,7 @@ exports.generateData = async (req, res, next) => {
         try {
           // Send data to API
           const sendStartTime = Date.now();
-          apiResponse = await sendData(records, apiDestination);
+          apiResponse = await sendData(datasets || records, apiDestination);
           const sendTime = Date.now() - sendStartTime;
           
           // Update history
@@ -163,7 +313,14 @@ exports.generateData = async (req, res, next) => {
       } else {
         // Export data in requested format
         const exportStartTime = Date.now();
-        const exported = exportData(records, format, exportOptions);
+        const exported = graphData && ['graphml', 'adjacency'].includes(format)
+          ? exportData(graphData, format, exportOptions)
+          : datasets
+          ? Object.fromEntries(Object.entries(datasets).map(([schemaName, schemaRecords]) => [
+              schemaName,
+              exportData(schemaRecords, format, { tableName: schemaName, ...exportOptions })
+            ]))
+          : exportData(records, format, exportOptions);
         const exportTime = Date.now() - exportStartTime;
         
         // Update history
@@ -193,7 +350,11 @@ exports.generateData = async (req, res, next) => {
       return res.status(200).json({
         error: false,
         message: 'Data generated successfully',
-        data: result
+        data: {
+          ...result,
+          seed: context.seed,
+          violations
+        }
       });
     } catch (error) {
       // Update history on error
@@ -217,6 +378,146 @@ exports.generateData = async (req, res, next) => {
   }
 };
 
+/**
+ * Stream generated data as a file download
+ * Records are generated and serialized incrementally, so very large counts
+ * are written with constant memory.
+ * @route POST /api/generate/stream
+ * @access Private
+ */
+exports.streamData = async (req, res, next) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const {
+      schemaId,
+      schemaData,
+      count = 10,
+      format = 'json',
+      exportOptions = {},
+      saveHistory = true,
+      seed,
+      refDate,
+      workers,
+      edgeCases
+    } = req.body;
+
+    const schema = await loadSchema({ schemaId, schemaData }, req.user._id);
+    const context = createContext({ seed, refDate, edgeCases });
+
+    // Initialize history tracking
+    const historyData = {
+      owner: req.user._id,
+      schema: schemaId,
+      config: {
+        count,
+        format,
+        exportOptions
+      },
+      seed: context.seed,
+      refDate: context.refDate,
+      edgeCases: context.edgeCases,
+      status: 'processing',
+      statistics: {
+        startTime: Date.now(),
+        workers
+      }
+    };
+
+    const contentTypes = {
+      json: 'application/json',
+      csv: 'text/csv',
+      sql: 'application/sql'
+    };
+    const fileName = `${schema.title || 'mock-data'}.${format}`;
+
+    res.setHeader('Content-Type', `${contentTypes[format] || contentTypes.json}; charset=utf-8`);
+    res.setHeader('Content-Disposition', attachmentHeader(fileName));
+    res.setHeader('X-Mock-Mint-Seed', String(context.seed));
+
+    const records = workers
+      ? Readable.from(streamRecordsParallel(schema, { count, workers, context }))
+      : createRecordStream(schema, { count, context });
+    const output = exportStream(records, format, {
+      tableName: schema.title || 'table',
+      ...exportOptions
+    });
+
+    let bytesGenerated = 0;
+    output.on('data', chunk => {
+      bytesGenerated += Buffer.byteLength(chunk);
+    });
+
+    // Record the outcome once, when the download has finished, failed or been abandoned
+    let finished = false;
+    const finish = async (error) => {
+      if (finished) return;
+      finished = true;
+
+      historyData.status = error ? 'failed' : 'completed';
+      historyData.statistics.endTime = Date.now();
+      historyData.statistics.totalTime =
+        historyData.statistics.endTime - historyData.statistics.startTime;
+      historyData.statistics.bytesGenerated = bytesGenerated;
+
+      if (error) {
+        historyData.error = {
+          message: error.message,
+          stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        };
+      } else {
+        const { recordsPerSecond } = summarizeRun(count, historyData.statistics.startTime);
+        historyData.statistics.recordCount = count;
+        historyData.statistics.recordsPerSecond = recordsPerSecond;
+        if (Object.keys(context.violations).length > 0) historyData.violations = context.violations;
+      }
+
+      if (saveHistory) {
+        try {
+          await new History(historyData).save();
+        } catch (saveError) {
+          console.error('Failed to save generation history:', saveError);
+        }
+      }
+    };
+
+    output.on('error', error => {
+      finish(error);
+
+      // Errors before the first byte can still be reported as JSON
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        return next(error);
+      }
+      res.destroy(error);
+    });
+    output.on('end', () => finish(null));
+
+    // A client that goes away stops generation rather than leaving it paused forever;
+    // destroying the records ends their iterator, which terminates any worker threads
+    const abandon = (error) => {
+      if (res.writableFinished) return;
+      records.destroy();
+      output.destroy();
+      finish(error || new Error('Client closed the connection before the download finished'));
+    };
+    res.on('error', abandon);
+    res.on('close', () => abandon(null));
+
+    output.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Generate a sample record from a schema
  * @route POST /api/generate/sample
@@ -28,11 +28,16 @@ exports.createSchema = async (req, res, next) => {
       });
     }
 
-    const { title, description, format, fields, isPublic, tags } = req.body;
+    const { title, description, format, fields, definitions, recursion, isPublic, tags } = req.body;
 
     // Validate schema structure
     if (fields && typeof fields === 'object') {
-      const validationResult = validateSchema({ type: 'object', fields });
+      const validationResult = validateSchema({
+        type: 'object',
+        fields,
+        ...(definitions && { definitions }),
+        ...(recursion && { recursion })
+      });
       if (!validationResult.isValid) {
         return res.status(400).json({
           error: true,
@@ -48,6 +53,8 @@ exports.createSchema = async (req, res, next) => {
       description,
       format: format || null,
       fields: fields || {},
+      definitions,
+      recursion,
       tags: tags || [],
       isPublic: !!isPublic,
       owner: req.user._id
@@ -204,6 +211,7 @@ exports.getSchemaById = async (req, res, next) => {
           type: schema.type,
           fields,
           definitions: schema.definitions,
+          recursion: schema.recursion,
           tags: schema.tags,
           isPublic: schema.isPublic,
           owner: schema.owner,
@@ -235,7 +243,7 @@ exports.updateSchema = async (req, res, next) => {
     }
 
     const { id } = req.params;
-    const { title, description, fields, isPublic, tags } = req.body;
+    const { title, description, fields, definitions, recursion, isPublic, tags } = req.body;
     
     // Find schema
     const schema = await Schema.findById(id);
@@ -258,7 +266,15 @@ exports.updateSchema = async (req, res, next) => {
 
     // Validate schema structure if fields are provided
     if (fields && typeof fields === 'object') {
-      const validationResult = validateSchema({ type: 'object', fields });
+      // `$ref` fields resolve against the new definitions, or the stored ones
+      const schemaDefinitions = definitions !== undefined ? definitions : schema.definitions;
+      const schemaRecursion = recursion !== undefined ? recursion : schema.recursion;
+      const validationResult = validateSchema({
+        type: 'object',
+        fields,
+        ...(schemaDefinitions && { definitions: schemaDefinitions }),
+        ...(schemaRecursion && { recursion: schemaRecursion })
+      });
       if (!validationResult.isValid) {
         return res.status(400).json({
           error: true,
@@ -272,6 +288,8 @@ exports.updateSchema = async (req, res, next) => {
     if (title !== undefined) schema.title = title;
     if (description !== undefined) schema.description = description;
     if (fields !== undefined) schema.fields = fields;
+    if (definitions !== undefined) schema.definitions = definitions;
+    if (recursion !== undefined) schema.recursion = recursion;
     if (isPublic !== undefined) schema.isPublic = isPublic;
     if (tags !== undefined) schema.tags = tags;
 
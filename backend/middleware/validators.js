@@ -4,6 +4,95 @@
  */
 
 const { body, param, query } = require('express-validator');
+const { RELATION_TYPES, DEFAULT_MANY_TO_MANY } = require('../../core/generators/relations');
+const { GRAPH_MODELS } = require('../../core/generators/graphs');
+const { parseSize } = require('../../core/generators/scenarios');
+
+/**
+ * Largest number of records a single generate request may produce
+ */
+const MAX_RECORDS = 10000;
+
+/**
+ * Count the most rows a scenario can plan, with every table sized per parent row at its maximum
+ * @param {object} tables - Scenario tables by name
+ * @returns {object} Largest number of rows by table name
+ */
+function maxScenarioRows(tables) {
+  const sizes = Object.fromEntries(Object.entries(tables).map(([tableName, table]) => [
+    tableName,
+    parseSize((table || {}).size, tableName)
+  ]));
+  const rows = {};
+
+  const countRows = (tableName, trail) => {
+    if (rows[tableName] !== undefined) return rows[tableName];
+
+    const { count, per, max } = sizes[tableName];
+    // Unknown parents and sizes that depend on each other are reported when the scenario is planned
+    if (per && (!sizes[per] || trail.includes(per))) return 0;
+
+    rows[tableName] = per ? max * countRows(per, [...trail, tableName]) : count;
+    return rows[tableName];
+  };
+
+  return Object.fromEntries(Object.keys(sizes).map(tableName => [tableName, countRows(tableName, [tableName])]));
+}
+
+/**
+ * Count the most join rows the many-to-many relations of a request can create
+ * @param {Array} relations - Relation definitions
+ * @param {object} counts - Number of records by schema name
+ * @returns {number} Largest total number of join rows
+ */
+function maxJoinRows(relations, counts) {
+  return (Array.isArray(relations) ? relations : [])
+    .filter(relation => relation && relation.type === 'many-to-many')
+    .reduce((total, { from, to, min = DEFAULT_MANY_TO_MANY.min, max }) => {
+      const linked = max !== undefined ? Number(max) : Math.max(Number(min), DEFAULT_MANY_TO_MANY.max);
+      return total + (counts[from] || 0) * Math.min(linked, counts[to] || 0);
+    }, 0);
+}
+
+/**
+ * Sum the values of an object
+ * @param {object} counts - Numbers by key
+ * @returns {number} Total
+ */
+function sumCounts(counts) {
+  return Object.values(counts).reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Largest number of edges a generated graph may have
+ */
+const MAX_GRAPH_EDGES = 100000;
+
+/**
+ * Largest number of nodes exported as an adjacency matrix, whose size grows with their square
+ */
+const MAX_MATRIX_NODES = 1000;
+
+/**
+ * Estimate the number of edges of a graph request
+ * @param {object} graph - Graph options
+ * @param {number} count - Number of nodes
+ * @returns {number} Expected number of edges
+ */
+function estimateGraphEdges(graph, count) {
+  const { model = 'random', directed = false } = graph;
+  const possible = directed ? count * (count - 1) : count * (count - 1) / 2;
+
+  switch (model) {
+    case 'preferential':
+      return (graph.attach || 2) * count;
+    case 'small-world':
+      return (graph.neighbors || 4) * count / 2;
+    default:
+      if (graph.edges !== undefined) return Number(graph.edges);
+      return graph.probability !== undefined ? Number(graph.probability) * possible : 2 * count;
+  }
+}
 
 /**
  * Authentication validators
@@ -212,21 +301,195 @@ exports.generatorValidators = {
       .isObject()
       .withMessage('Schema data must be an object'),
     
+    body('schemas')
+      .optional()
+      .isObject()
+      .withMessage('Schemas must be an object keyed by schema name')
+      .bail()
+      .custom((schemas, { req }) => {
+        const counts = Object.fromEntries(Object.entries(schemas).map(([name, source]) => [
+          name,
+          Number((source && source.count) || req.body.count || 10)
+        ]));
+        return sumCounts(counts) + maxJoinRows(req.body.relations, counts) <= MAX_RECORDS;
+      })
+      .withMessage(`Schemas and their join rows must have at most ${MAX_RECORDS} records in total; use /stream for larger datasets`),
+    
+    body('schemas.*.count')
+      .optional()
+      .isInt({ min: 1, max: MAX_RECORDS })
+      .withMessage(`Schema count must be between 1 and ${MAX_RECORDS}`),
+    
+    body('relations')
+      .optional()
+      .isArray()
+      .withMessage('Relations must be an array'),
+    
+    body('scenario')
+      .optional()
+      .isObject()
+      .withMessage('Scenario must be an object'),
+    
+    body('scenario.tables')
+      .if(body('scenario').exists())
+      .isObject()
+      .withMessage('Scenario tables must be an object keyed by table name')
+      .bail()
+      .custom((tables, { req }) => {
+        const rows = maxScenarioRows(tables);
+        if (sumCounts(rows) + maxJoinRows(req.body.scenario.relations, rows) > MAX_RECORDS) {
+          throw new Error(`Scenario can plan more than ${MAX_RECORDS} rows, join rows included; lower the table sizes or use /stream`);
+        }
+        return true;
+      }),
+    
+    body('relations.*.type')
+      .isIn(RELATION_TYPES)
+      .withMessage(`Relation type must be one of ${RELATION_TYPES.join(', ')}`),
+    
+    body('relations.*.min')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Relation min must be a non-negative integer'),
+    
+    body('relations.*.max')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Relation max must be a non-negative integer'),
+    
     body('count')
       .optional()
-      .isInt({ min: 1, max: 10000 })
-      .withMessage('Count must be between 1 and 10000'),
+      .isInt({ min: 1, max: MAX_RECORDS })
+      .withMessage(`Count must be between 1 and ${MAX_RECORDS}; use /stream for larger datasets`),
     
     body('format')
       .optional()
-      .isIn(['json', 'csv', 'sql'])
-      .withMessage('Format must be json, csv, or sql'),
+      .isIn(['json', 'csv', 'sql', 'graphml', 'adjacency'])
+      .withMessage('Format must be json, csv, sql, graphml, or adjacency')
+      .custom((value, { req }) => !['graphml', 'adjacency'].includes(value) || Boolean(req.body.graph))
+      .withMessage('Graphml and adjacency formats require graph options'),
+    
+    body('seed')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Seed must be a non-negative integer'),
+    
+    body('refDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Reference date must be an ISO 8601 date'),
+    
+    // A job fits in one chunk, so worker threads would only add start-up time
+    body('workers')
+      .not().exists()
+      .withMessage('Workers are only supported by /api/generate/stream'),
+    
+    body('edgeCases')
+      .optional()
+      .custom(value => typeof value === 'boolean' || (typeof value === 'number' && value >= 0 && value <= 1))
+      .withMessage('Edge cases must be a boolean or a ratio between 0 and 1'),
+    
+    body('tree')
+      .optional()
+      .isObject()
+      .withMessage('Tree must be an object of tree options'),
+    
+    body('tree.output')
+      .optional()
+      .isIn(['flat', 'nested'])
+      .withMessage('Tree output must be flat or nested'),
+    
+    body(['tree.maxNodes', 'tree.roots'])
+      .optional()
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('Tree maxNodes and roots must be between 1 and 10000'),
+    
+    body('tree.maxDepth')
+      .optional()
+      .isInt({ min: 0, max: 100 })
+      .withMessage('Tree maxDepth must be between 0 and 100'),
+    
+    body('tree.branching')
+      .optional()
+      .custom(value => {
+        const { min, max = min } = typeof value === 'number' ? { min: value } : (value || {});
+        return [min, max].every(bound => Number.isInteger(bound) && bound >= 0 && bound <= 100) && min <= max;
+      })
+      .withMessage('Tree branching must be a number or {min, max} between 0 and 100'),
+    
+    body('graph')
+      .optional()
+      .isObject()
+      .withMessage('Graph must be an object of graph options'),
+    
+    body('graph.model')
+      .optional()
+      .isIn(GRAPH_MODELS)
+      .withMessage(`Graph model must be one of ${GRAPH_MODELS.join(', ')}`),
+    
+    body('graph.edges')
+      .optional()
+      .isInt({ min: 0, max: MAX_GRAPH_EDGES })
+      .withMessage(`Graph edges must be between 0 and ${MAX_GRAPH_EDGES}`),
+    
+    body('graph.probability')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('Graph probability must be between 0 and 1'),
+    
+    body('graph')
+      .optional()
+      .custom((graph, { req }) => !(estimateGraphEdges(graph || {}, Number(req.body.count) || 10) > MAX_GRAPH_EDGES))
+      .withMessage(`Graph would have more than ${MAX_GRAPH_EDGES} edges; lower the count, edges, probability, attach or neighbors`),
+    
+    body('mutations')
+      .optional()
+      .isObject()
+      .withMessage('Mutations must be an object of mutation options'),
+    
+    body('mutations.records')
+      .optional()
+      .isArray()
+      .withMessage('Mutation records must be an array of existing records'),
+    
+    body('mutations.count')
+      .optional()
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('Mutation count must be between 1 and 10000'),
+    
+    body('mutations.start')
+      .optional()
+      .isISO8601()
+      .withMessage('Mutation start must be an ISO 8601 date'),
+    
+    body('mutations.interval')
+      .optional()
+      .custom(value => {
+        const { min, max = min } = typeof value === 'number' ? { min: value } : (value || {});
+        return [min, max].every(bound => Number.isInteger(bound) && bound >= 0) && min <= max;
+      })
+      .withMessage('Mutation interval must be milliseconds or {min, max} with 0 <= min <= max'),
+    
+    body('mutations.envelope')
+      .optional()
+      .isIn(['plain', 'debezium'])
+      .withMessage('Mutation envelope must be plain or debezium'),
+    
+    body('negative')
+      .optional()
+      .isBoolean()
+      .withMessage('Negative must be a boolean'),
     
     body('exportOptions')
       .optional()
       .isObject()
       .withMessage('Export options must be an object'),
     
+    body('exportOptions.matrix')
+      .optional()
+      .custom((matrix, { req }) => !matrix || (Number(req.body.count) || 10) <= MAX_MATRIX_NODES)
+      .withMessage(`Adjacency matrices are limited to ${MAX_MATRIX_NODES} nodes; export a neighbor list instead`),
+    
     body('saveHistory')
       .optional()
       .isBoolean()
@@ -253,6 +516,59 @@ exports.generatorValidators = {
       .withMessage('Batch size must be between 1 and 1000')
   ],
 
+  // Stream data validator
+  streamData: [
+    body('schemaId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid schema ID'),
+    
+    body('schemaData')
+      .optional()
+      .isObject()
+      .withMessage('Schema data must be an object'),
+    
+    body('count')
+      .optional()
+      .isInt({ min: 1, max: 10000000 })
+      .withMessage('Count must be between 1 and 10000000'),
+    
+    body('format')
+      .optional()
+      .isIn(['json', 'csv', 'sql'])
+      .withMessage('Format must be json, csv, or sql'),
+    
+    body('seed')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Seed must be a non-negative integer'),
+    
+    body('refDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Reference date must be an ISO 8601 date'),
+    
+    body('workers')
+      .optional()
+      .isInt({ min: 1, max: 64 })
+      .withMessage('Workers must be between 1 and 64'),
+    
+    body('edgeCases')
+      .optional()
+      .custom(value => typeof value === 'boolean' || (typeof value === 'number' && value >= 0 && value <= 1))
+      .withMessage('Edge cases must be a boolean or a ratio between 0 and 1'),
+    
+    body('exportOptions')
+      .optional()
+      .isObject()
+      .withMessage('Export options must be an object'),
+    
+    body('saveHistory')
+      .optional()
+      .isBoolean()
+      .withMessage('saveHistory must be a boolean')
+  ],
+
   // Generate sample validator
   generateSample: [
     body('schemaId')
@@ -27,6 +27,26 @@ const historySchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Seed and reference date of the run's random engine, enough to reproduce the job
+  seed: {
+    type: Number
+  },
+  refDate: {
+    type: Date
+  },
+  // Share of values that were boundary and unusual values
+  edgeCases: {
+    type: Number
+  },
+  // Whether the records each break one schema constraint on purpose
+  negative: {
+    type: Boolean,
+    default: false
+  },
+  // Number of records that could not satisfy each schema constraint, by constraint
+  violations: {
+    type: mongoose.Schema.Types.Mixed
+  },
   options: {
     recordCount: {
       type: Number,
@@ -53,7 +73,12 @@ const historySchema = new mongoose.Schema({
     duration: Number,
     recordCount: Number,
     bytesGenerated: Number,
-    avgRecordSize: Number
+    avgRecordSize: Number,
+    // Throughput of the generation step, and how it was split across worker threads
+    generationTime: Number,
+    recordsPerSecond: Number,
+    workers: Number,
+    chunks: Number
   },
   exportInfo: {
     fileName: String,
@@ -4,6 +4,23 @@
  */
 
 const mongoose = require('mongoose');
+const { getRegisteredGenerator } = require('../../core/generators/registry');
+
+// Built-in field types
+const FIELD_TYPES = [
+  'string', 'number', 'boolean', 'array', 'object', 
+  'date', 'datetime', 'email', 'url', 'uuid', 'id', 'sequence', 'ulid', 'objectId',
+  'firstName', 'lastName', 'fullName', 'username', 'gender',
+  'age', 'phone', 'address', 'street', 'city', 'state', 'country', 'zipCode',
+  'latitude', 'longitude',
+  'company', 'jobTitle', 'department',
+  'paragraph', 'sentence', 'word',
+  'image', 'color', 'ipv4', 'ipv6', 'mac',
+  'filename', 'mimeType', 'fileSize',
+  'creditCardNumber', 'creditCardCVV', 'currency',
+  'product', 'price', 'category',
+  'reference', 'computed'
+];
 
 // Field schema definition for nested fields
 const fieldSchema = new mongoose.Schema({
@@ -15,18 +32,11 @@ const fieldSchema = new mongoose.Schema({
   type: {
     type: String,
     required: [true, 'Field type is required'],
-    enum: [
-      'string', 'number', 'boolean', 'array', 'object', 
-      'date', 'email', 'url', 'uuid', 'id',
-      'firstName', 'lastName', 'fullName', 'username', 'gender',
-      'age', 'phone', 'address', 'city', 'country', 'zipCode',
-      'company', 'jobTitle', 'department',
-      'paragraph', 'sentence', 'word',
-      'image', 'color', 'ipv4', 'ipv6', 'mac',
-      'filename', 'mimeType', 'fileSize',
-      'creditCardNumber', 'creditCardCVV', 'currency',
-      'product', 'price', 'category'
-    ]
+    validate: {
+      // Custom field types registered by generator plugins are accepted too
+      validator: type => FIELD_TYPES.includes(type) || Boolean(getRegisteredGenerator(type)),
+      message: '`{VALUE}` is not a valid field type'
+    }
   },
   description: {
     type: String,
@@ -86,6 +96,16 @@ const schemaSchema = new mongoose.Schema({
     trim: true
   }],
   fields: [fieldSchema],
+  // Shared definitions that `$ref` fields point at, by name
+  definitions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  // Limits of recursion through definitions {maxDepth, maxBranching}
+  recursion: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
   examples: [{
     type: mongoose.Schema.Types.Mixed
   }],
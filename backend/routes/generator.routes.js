@@ -16,6 +16,9 @@ router.use(protect);
 // Generate mock data
 router.post('/', generatorValidators.generateData, generatorController.generateData);
 
+// Stream large datasets as a file download
+router.post('/stream', generatorValidators.streamData, generatorController.streamData);
+
 // Generate a single sample record
 router.post('/sample', generatorValidators.generateSample, generatorController.generateSample);
 
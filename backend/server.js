@@ -12,9 +12,18 @@ const dotenv = require('dotenv');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
 
+const { loadGeneratorPlugins } = require('../core/generators/registry');
+
 // Load environment variables
 dotenv.config();
 
+// Register custom field types before the routes that generate them are loaded
+const pluginsDir = path.resolve(__dirname, process.env.PLUGINS_DIR || 'plugins');
+const pluginTypes = loadGeneratorPlugins(pluginsDir);
+if (pluginTypes.length > 0) {
+  console.log(`Loaded generator plugins: ${pluginTypes.join(', ')}`);
+}
+
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const schemaRoutes = require('./routes/schema.routes');
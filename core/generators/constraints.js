@@ -0,0 +1,235 @@
+/**
+ * Constraints module
+ * Makes generated records satisfy declarative constraints between their fields
+ *
+ * A schema's `constraints` list supports three kinds of constraint:
+ * - comparisons, as an expression string or { expression, resample }, e.g. 'endDate > startDate'.
+ *   Violations are fixed by regenerating the fields involved (or those listed in `resample`).
+ * - conditional presence, { field, when, otherwise }, e.g. shippedAt only when status == "shipped".
+ *   The field is generated when `when` holds and omitted (or null) otherwise.
+ * - sums, { sum: 'lineItems.amount', equals: 'orderTotal', adjust }, where the items are scaled
+ *   to the total (or the total set to the sum with adjust: 'total').
+ */
+
+const _ = require('lodash');
+const { compileExpression, isComputedField } = require('./expressions');
+
+/**
+ * Default number of attempts at satisfying the comparisons of a record
+ */
+const DEFAULT_MAX_ATTEMPTS = 100;
+
+/**
+ * Compile an expression, naming the constraint in parse errors
+ * @param {string} source - Expression source
+ * @returns {object} Compiled expression
+ */
+function compileConstraintExpression(source) {
+  try {
+    return compileExpression(source);
+  } catch (error) {
+    throw new Error(`Invalid constraint "${source}": ${error.message}`);
+  }
+}
+
+/**
+ * Compile a schema's constraints
+ * @param {Array} constraints - Constraint declarations
+ * @param {object} fields - Normalized field definitions by name
+ * @returns {Array} Compiled constraints
+ */
+function planConstraints(constraints = [], fields) {
+  const requireField = (name, label) => {
+    if (!fields[name]) {
+      throw new Error(`Constraint "${label}" references unknown field "${name}"`);
+    }
+  };
+
+  return constraints.map(declaration => {
+    const constraint = typeof declaration === 'string' ? { expression: declaration } : declaration;
+
+    if (constraint.sum !== undefined) {
+      const [arrayField, ...itemPath] = String(constraint.sum).split('.');
+      const label = `sum(${constraint.sum}) == ${constraint.equals}`;
+      const { adjust = 'items' } = constraint;
+
+      requireField(arrayField, label);
+      requireField(constraint.equals, label);
+      if (!['items', 'total'].includes(adjust)) {
+        throw new Error(`Constraint "${label}" must adjust "items" or "total", not "${adjust}"`);
+      }
+
+      const items = fields[arrayField].items || {};
+      const itemDef = itemPath.length > 0 ? _.get(items.properties, itemPath.join('.properties.')) : items;
+
+      return {
+        kind: 'sum',
+        label,
+        arrayField,
+        itemPath: itemPath.join('.'),
+        total: constraint.equals,
+        adjust,
+        // Integer amounts stay integers; other amounts are kept to the field's scale
+        digits: itemDef && itemDef.type === 'integer' ? 0 : (itemDef && itemDef.scale !== undefined ? itemDef.scale : 2)
+      };
+    }
+
+    if (constraint.when !== undefined) {
+      const label = `${constraint.field} only when ${constraint.when}`;
+      const { otherwise = 'omit' } = constraint;
+      const condition = compileConstraintExpression(constraint.when);
+
+      requireField(constraint.field, label);
+      condition.dependencies.forEach(name => requireField(name, label));
+      if (!['omit', 'null'].includes(otherwise)) {
+        throw new Error(`Constraint "${label}" must "omit" or "null" the field otherwise, not "${otherwise}"`);
+      }
+
+      return { kind: 'presence', label, field: constraint.field, condition, otherwise };
+    }
+
+    if (constraint.expression !== undefined) {
+      const label = String(constraint.expression);
+      const check = compileConstraintExpression(constraint.expression);
+
+      check.dependencies.forEach(name => requireField(name, label));
+
+      // Unique and computed fields are left alone; computed fields follow their inputs
+      const resample = constraint.resample || check.dependencies.filter(name =>
+        !isComputedField(fields[name]) && !fields[name].unique && !fields[name].primaryKey
+      );
+      resample.forEach(name => requireField(name, label));
+
+      return { kind: 'comparison', label, check, resample };
+    }
+
+    throw new Error(`Unsupported constraint ${JSON.stringify(constraint)}; expected an expression, a "when" or a "sum"`);
+  });
+}
+
+/**
+ * Check a comparison against a record
+ * Like a SQL CHECK, a comparison involving a missing or null field is not violated, unless
+ * the expression tests that field for null (`shippedAt != null`); missing fields then read as null.
+ * @param {object} constraint - Compiled comparison
+ * @param {object} record - Record to check
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {boolean} True when the record satisfies the comparison
+ */
+function isSatisfied(constraint, record, faker) {
+  const { check } = constraint;
+  const isMissing = name => record[name] === undefined || record[name] === null;
+
+  if (check.dependencies.some(name => isMissing(name) && !check.nullChecks.includes(name))) {
+    return true;
+  }
+
+  const scope = { ...record };
+  check.nullChecks.filter(isMissing).forEach(name => {
+    scope[name] = null;
+  });
+
+  return Boolean(check.evaluate(scope, faker));
+}
+
+/**
+ * Make the items of an array sum to a total
+ * @param {object} constraint - Compiled sum constraint
+ * @param {object} record - Record to update in place
+ * @returns {boolean} True when the sum could be met
+ */
+function applySum(constraint, record) {
+  const { arrayField, itemPath, total, adjust, digits } = constraint;
+  const items = record[arrayField];
+
+  if (!Array.isArray(items)) return record[total] === undefined || record[total] === null;
+
+  const read = (item) => Number(itemPath ? _.get(item, itemPath) : item) || 0;
+  const write = (index, value) => {
+    if (itemPath) _.set(items[index], itemPath, value);
+    else items[index] = value;
+  };
+  const sum = _.round(_.sumBy(items, read), digits);
+
+  if (adjust === 'total') {
+    record[total] = sum;
+    return true;
+  }
+
+  const target = Number(record[total]);
+  if (!Number.isFinite(target)) return false;
+  if (items.length === 0) return target === 0;
+
+  // Scale the amounts to the target, then put the rounding remainder on the largest item
+  const scaled = items.map(item => (sum > 0 ? _.round((read(item) * target) / sum, digits) : _.round(target / items.length, digits)));
+  const remainder = _.round(target - _.sum(scaled), digits);
+  const largest = scaled.indexOf(_.max(scaled));
+  scaled[largest] = _.round(scaled[largest] + remainder, digits);
+
+  scaled.forEach((value, index) => write(index, value));
+  return true;
+}
+
+/**
+ * Make a record satisfy the compiled constraints of its schema
+ * Comparisons are retried by regenerating their fields; presence and sums hold by construction.
+ * Constraints that still fail are counted in `context.violations` by label, or throw when strict.
+ * @param {Array} constraints - Compiled constraints
+ * @param {object} record - Record to update in place
+ * @param {object} helpers - {regenerate(fieldName), recompute()} for the record
+ * @param {object} context - Generation context
+ * @param {object} options - Constraint options
+ * @param {number} options.maxAttempts - Attempts at satisfying the comparisons
+ * @param {boolean} options.strict - Throw instead of reporting unmet constraints
+ */
+function applyConstraints(constraints, record, helpers, context, options = {}) {
+  const { maxAttempts = DEFAULT_MAX_ATTEMPTS, strict = false } = options;
+  const { regenerate, recompute } = helpers;
+  const comparisons = constraints.filter(constraint => constraint.kind === 'comparison');
+  const failed = [];
+
+  for (let attempt = 0; attempt <= maxAttempts; attempt++) {
+    const violated = comparisons.filter(constraint => !isSatisfied(constraint, record, context.faker));
+    if (violated.length === 0) break;
+
+    if (attempt === maxAttempts) {
+      failed.push(...violated);
+      break;
+    }
+
+    _.uniq(_.flatMap(violated, constraint => constraint.resample)).forEach(name => {
+      // Omitted and null fields stay that way
+      if (record[name] !== undefined && record[name] !== null) record[name] = regenerate(name);
+    });
+    recompute();
+  }
+
+  constraints.forEach(constraint => {
+    if (constraint.kind === 'presence') {
+      if (constraint.condition.evaluate(record, context.faker)) {
+        if (record[constraint.field] === undefined) record[constraint.field] = regenerate(constraint.field);
+      } else if (constraint.otherwise === 'null') {
+        record[constraint.field] = null;
+      } else {
+        delete record[constraint.field];
+      }
+    } else if (constraint.kind === 'sum' && !applySum(constraint, record)) {
+      failed.push(constraint);
+    }
+  });
+
+  if (failed.length === 0) return;
+
+  if (strict) {
+    throw new Error(`Could not satisfy constraint${failed.length > 1 ? 's' : ''} ${failed.map(c => `"${c.label}"`).join(', ')}`);
+  }
+
+  failed.forEach(({ label }) => {
+    context.violations[label] = (context.violations[label] || 0) + 1;
+  });
+}
+
+module.exports = {
+  planConstraints,
+  applyConstraints
+};
@@ -0,0 +1,105 @@
+/**
+ * Generation context module
+ * Holds the state shared by all generators during a single generation run
+ */
+
+const { Faker, en, base } = require('@faker-js/faker');
+const { createGenerator } = require('./registry');
+const { normalizeEdgeCases } = require('./edgeCases');
+
+/**
+ * Reference date used by seeded runs that do not specify one, so relative
+ * dates (past, recent, future) do not drift with the wall clock
+ */
+const DEFAULT_REF_DATE = '2024-01-01T00:00:00.000Z';
+
+/**
+ * Pick a fresh seed for runs that do not provide one
+ * @returns {number} Random 31-bit integer seed
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 31);
+}
+
+/**
+ * Derive a deterministic sub-seed from a seed and a list of labels
+ * Used to give independent parts of a run (such as parallel chunks) their own engines
+ * @param {number} seed - Seed of the run
+ * @param {...(string|number)} parts - Labels identifying the part of the run
+ * @returns {number} 31-bit integer seed
+ */
+function deriveSeed(seed, ...parts) {
+  // FNV-1a over the seed and labels
+  let hash = 0x811c9dc5;
+  for (const char of [seed, ...parts].join(':')) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0) % 2 ** 31;
+}
+
+/**
+ * Create an isolated, seeded random engine
+ * @param {number} seed - Seed for the engine
+ * @param {Date} refDate - Reference date for relative date generation
+ * @returns {Faker} Faker instance owned by the caller
+ */
+function createRandom(seed, refDate) {
+  const faker = new Faker({ locale: [en, base] });
+
+  faker.seed(seed);
+  faker.setDefaultRefDate(refDate);
+
+  return faker;
+}
+
+/**
+ * Create a new generation context
+ * @param {object} options - Context options
+ * @param {number} options.seed - Seed for the run's random engine (random if omitted)
+ * @param {string|Date} options.refDate - Reference date for relative dates
+ * @param {object} options.references - Map of already generated records by schema name
+ * @param {object} options.generators - Generators overriding field types for this run, by type
+ * @param {boolean|number} options.edgeCases - Share of values that are edge cases (true for all)
+ * @param {number} options.idSeed - Seed of stable identifiers (defaults to the seed)
+ * @returns {object} Generation context
+ */
+function createContext(options = {}) {
+  const { references = {}, generators = {} } = options;
+  const hasSeed = options.seed !== undefined && options.seed !== null;
+  const seed = hasSeed ? Number(options.seed) : randomSeed();
+
+  let refDate;
+  if (options.refDate !== undefined && options.refDate !== null) {
+    refDate = new Date(options.refDate);
+  } else {
+    refDate = hasSeed ? new Date(DEFAULT_REF_DATE) : new Date();
+  }
+
+  return {
+    seed,
+    // Parts of a run with their own engines (such as parallel chunks) share the run's identifiers
+    idSeed: options.idSeed !== undefined && options.idSeed !== null ? Number(options.idSeed) : seed,
+    refDate,
+    // Random engine owned by this run only, never the shared global faker
+    faker: createRandom(seed, refDate),
+    // Records generated so far, keyed by schema name, used to resolve references
+    references: { ...references },
+    // Per-run generator overrides, used before the built-in and registered generators
+    generators: Object.fromEntries(
+      Object.entries(generators).map(([type, generator]) => [type, createGenerator(type, generator)])
+    ),
+    // Number of records that could not satisfy each schema constraint, by constraint label
+    violations: {},
+    // Share of field values replaced by boundary and unusual values
+    edgeCases: normalizeEdgeCases(options.edgeCases)
+  };
+}
+
+module.exports = {
+  DEFAULT_REF_DATE,
+  deriveSeed,
+  createRandom,
+  createContext
+};
@@ -0,0 +1,470 @@
+/**
+ * Date generators module
+ * Functions for generating dates and datetimes within absolute bounds or relative
+ * windows, with time zone, weekday and business-hours constraints
+ */
+
+const MS_PER_SECOND = 1000;
+const MS_PER_MINUTE = 60 * MS_PER_SECOND;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+/**
+ * Number of samples drawn before weekday/business-hours constraints are declared unsatisfiable
+ */
+const MAX_ATTEMPTS = 1000;
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Instants that commonly break date handling
+ */
+const EDGE_DATES = [
+  // Epoch boundaries
+  '1970-01-01T00:00:00.000Z',
+  '1969-12-31T23:59:59.999Z',
+  '2038-01-19T03:14:07.000Z',
+  '2038-01-19T03:14:08.000Z',
+  '1901-12-13T20:45:52.000Z',
+  '9999-12-31T23:59:59.999Z',
+  // Leap days, including a century leap year, and the last instant of a leap year
+  '2000-02-29T12:00:00.000Z',
+  '2024-02-29T00:00:00.000Z',
+  '2024-12-31T23:59:59.999Z',
+  // DST transitions: the skipped hour in New York and Europe, and the repeated hour in New York
+  '2024-03-10T07:00:00.000Z',
+  '2024-03-31T01:00:00.000Z',
+  '2024-11-03T05:30:00.000Z',
+  '2024-11-03T06:30:00.000Z',
+  '2024-10-27T01:00:00.000Z'
+];
+
+/**
+ * Convert a date-like value (Date, ISO string or epoch milliseconds) to epoch milliseconds
+ * @param {Date|string|number} value - Date-like value
+ * @returns {number} Epoch milliseconds
+ */
+function toTimestamp(value) {
+  const timestamp = value instanceof Date ? value.getTime() : new Date(value).getTime();
+
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  return timestamp;
+}
+
+/**
+ * Add a number of calendar units to a timestamp (UTC calendar)
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} unit - second, minute, hour, day, week, month, quarter or year
+ * @param {number} amount - Number of units to add (may be negative)
+ * @returns {number} Shifted epoch milliseconds
+ */
+function addUnits(timestamp, unit, amount) {
+  const date = new Date(timestamp);
+
+  switch (unit) {
+    case 'second':
+      return timestamp + amount * MS_PER_SECOND;
+    case 'minute':
+      return timestamp + amount * MS_PER_MINUTE;
+    case 'hour':
+      return timestamp + amount * MS_PER_HOUR;
+    case 'day':
+      return timestamp + amount * MS_PER_DAY;
+    case 'week':
+      return timestamp + amount * 7 * MS_PER_DAY;
+    case 'month':
+      date.setUTCMonth(date.getUTCMonth() + amount);
+      return date.getTime();
+    case 'quarter':
+      date.setUTCMonth(date.getUTCMonth() + amount * 3);
+      return date.getTime();
+    case 'year':
+      date.setUTCFullYear(date.getUTCFullYear() + amount);
+      return date.getTime();
+    default:
+      throw new Error(`Unknown date unit "${unit}"`);
+  }
+}
+
+/**
+ * Find the start of the calendar period containing a timestamp (UTC, weeks start on Monday)
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} unit - day, week, month, quarter or year
+ * @returns {number} Epoch milliseconds of the period start
+ */
+function startOfPeriod(timestamp, unit) {
+  const date = new Date(timestamp);
+  date.setUTCHours(0, 0, 0, 0);
+
+  switch (unit) {
+    case 'day':
+      break;
+    case 'week':
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+      break;
+    case 'month':
+      date.setUTCDate(1);
+      break;
+    case 'quarter':
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() - (date.getUTCMonth() % 3));
+      break;
+    case 'year':
+      date.setUTCMonth(0, 1);
+      break;
+    default:
+      throw new Error(`Calendar periods are not supported for unit "${unit}"`);
+  }
+
+  return date.getTime();
+}
+
+/**
+ * Resolve a relative window expression against a reference date
+ *
+ * Supported expressions:
+ * - "last 30 days", "next 2 weeks": rolling window ending/starting at the reference date
+ * - "last month", "next quarter": the previous/next calendar period
+ * - "this week", "this year": the current calendar period
+ * - "today", "yesterday", "tomorrow"
+ *
+ * @param {string} range - Relative window expression
+ * @param {Date} refDate - Reference date
+ * @returns {object} Window bounds {from, to} in epoch milliseconds
+ */
+function resolveRange(range, refDate) {
+  const now = toTimestamp(refDate);
+  const expression = String(range).trim().toLowerCase();
+
+  const shortcuts = { today: 0, yesterday: -1, tomorrow: 1 };
+  if (expression in shortcuts) {
+    const from = addUnits(startOfPeriod(now, 'day'), 'day', shortcuts[expression]);
+    return { from, to: addUnits(from, 'day', 1) - 1 };
+  }
+
+  const match = expression.match(/^(last|past|next|this)\s+(?:(\d+)\s+)?(second|minute|hour|day|week|month|quarter|year)s?$/);
+  if (!match) {
+    throw new Error(`Unsupported date range "${range}"`);
+  }
+
+  const [, direction, amountText, unit] = match;
+
+  // Rolling window: "last 30 days", "next 6 hours"
+  if (amountText !== undefined) {
+    const amount = Number(amountText);
+    return direction === 'next'
+      ? { from: now, to: addUnits(now, unit, amount) }
+      : { from: addUnits(now, unit, -amount), to: now };
+  }
+
+  // Calendar period: "last month", "this quarter", "next year"
+  const offset = direction === 'next' ? 1 : direction === 'this' ? 0 : -1;
+  const from = addUnits(startOfPeriod(now, unit), unit, offset);
+  return { from, to: addUnits(from, unit, 1) - 1 };
+}
+
+/**
+ * Break a timestamp into wall clock parts in a time zone
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone name (UTC if omitted)
+ * @returns {object} Wall clock parts and UTC offset in minutes
+ */
+function getZonedParts(timestamp, timeZone) {
+  const date = new Date(timestamp);
+  const millisecond = date.getUTCMilliseconds();
+
+  if (!timeZone || timeZone === 'UTC') {
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: date.getUTCHours(),
+      minute: date.getUTCMinutes(),
+      second: date.getUTCSeconds(),
+      millisecond,
+      weekday: date.getUTCDay(),
+      offset: 0
+    };
+  }
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, millisecond);
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond,
+    weekday: new Date(wallClock).getUTCDay(),
+    offset: Math.round((wallClock - timestamp) / MS_PER_MINUTE)
+  };
+}
+
+/**
+ * Format a UTC offset in minutes as +HH:MM
+ * @param {number} offset - Offset in minutes
+ * @param {string} separator - Separator between hours and minutes
+ * @returns {string} Formatted offset
+ */
+function formatOffset(offset, separator = ':') {
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+  return `${sign}${pad(Math.floor(absolute / 60))}${separator}${pad(absolute % 60)}`;
+}
+
+/**
+ * Left-pad a number with zeros
+ * @param {number} value - Number to pad
+ * @param {number} length - Target length
+ * @returns {string} Padded number
+ */
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+/**
+ * Format a timestamp with a custom token pattern such as "YYYY-MM-DD HH:mm:ss"
+ * Text inside square brackets is emitted literally.
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} pattern - Format pattern
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} Formatted date
+ */
+function formatPattern(timestamp, pattern, timeZone) {
+  const parts = getZonedParts(timestamp, timeZone);
+  const hour12 = parts.hour % 12 || 12;
+
+  const tokens = {
+    YYYY: () => String(parts.year),
+    YY: () => pad(parts.year % 100),
+    MMMM: () => MONTH_NAMES[parts.month - 1],
+    MMM: () => MONTH_NAMES[parts.month - 1].slice(0, 3),
+    MM: () => pad(parts.month),
+    M: () => String(parts.month),
+    DD: () => pad(parts.day),
+    D: () => String(parts.day),
+    dddd: () => DAY_NAMES[parts.weekday],
+    ddd: () => DAY_NAMES[parts.weekday].slice(0, 3),
+    HH: () => pad(parts.hour),
+    H: () => String(parts.hour),
+    hh: () => pad(hour12),
+    h: () => String(hour12),
+    mm: () => pad(parts.minute),
+    m: () => String(parts.minute),
+    ss: () => pad(parts.second),
+    s: () => String(parts.second),
+    SSS: () => pad(parts.millisecond, 3),
+    A: () => (parts.hour < 12 ? 'AM' : 'PM'),
+    a: () => (parts.hour < 12 ? 'am' : 'pm'),
+    ZZ: () => formatOffset(parts.offset, ''),
+    Z: () => formatOffset(parts.offset)
+  };
+
+  return pattern.replace(
+    /\[([^\]]*)]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|m|ss|s|SSS|A|a|ZZ|Z/g,
+    (token, literal) => (literal !== undefined ? literal : tokens[token]())
+  );
+}
+
+/**
+ * Format a timestamp for output
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {object} options - Output options
+ * @param {string} options.format - iso, date, time, epoch/epochMs, epochSeconds or a custom pattern
+ * @param {string} options.timeZone - IANA time zone name
+ * @param {boolean} withTime - Whether the default output includes the time of day
+ * @returns {string|number} Formatted date
+ */
+function formatDate(timestamp, options = {}, withTime = true) {
+  const { timeZone } = options;
+  const format = options.format || (withTime ? 'iso' : 'date');
+
+  switch (format) {
+    case 'epoch':
+    case 'epochMs':
+      return timestamp;
+    case 'epochSeconds':
+      return Math.floor(timestamp / MS_PER_SECOND);
+    case 'date':
+      return formatPattern(timestamp, 'YYYY-MM-DD', timeZone);
+    case 'time':
+      return formatPattern(timestamp, 'HH:mm:ss', timeZone);
+    case 'iso':
+    case 'datetime':
+      // Keep the familiar "Z" suffix for UTC output
+      return timeZone && timeZone !== 'UTC'
+        ? formatPattern(timestamp, 'YYYY-MM-DD[T]HH:mm:ss.SSSZ', timeZone)
+        : new Date(timestamp).toISOString();
+    default:
+      return formatPattern(timestamp, format, timeZone);
+  }
+}
+
+/**
+ * Check whether a timestamp satisfies weekday and business-hours constraints
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {object} options - Constraint options
+ * @returns {boolean} True if every constraint holds
+ */
+function satisfiesConstraints(timestamp, options) {
+  const { weekdaysOnly = false, businessHours = false, timeZone } = options;
+
+  if (!weekdaysOnly && !businessHours) return true;
+
+  const parts = getZonedParts(timestamp, timeZone);
+
+  // Business hours imply a working day
+  if (parts.weekday === 0 || parts.weekday === 6) {
+    return false;
+  }
+
+  if (businessHours) {
+    const { start = 9, end = 17 } = businessHours === true ? {} : businessHours;
+    const hour = parts.hour + parts.minute / 60 + parts.second / 3600;
+    if (hour < start || hour >= end) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Resolve the window a date is drawn from
+ * Absolute min/max bounds narrow a relative range when both are given.
+ * Without either, the window is the year before the reference date.
+ * @param {object} options - Date options
+ * @param {Date} refDate - Reference date
+ * @returns {object} Window bounds {from, to} in epoch milliseconds
+ */
+function resolveWindow(options, refDate) {
+  const { min, max, range } = options;
+
+  let window;
+  if (range) {
+    window = resolveRange(range, refDate);
+  } else {
+    const now = toTimestamp(refDate);
+    window = { from: addUnits(now, 'year', -1), to: now };
+  }
+
+  // Explicit bounds replace the default window and narrow a relative one
+  if (min !== undefined) window.from = range ? Math.max(window.from, toTimestamp(min)) : toTimestamp(min);
+  if (max !== undefined) window.to = range ? Math.min(window.to, toTimestamp(max)) : toTimestamp(max);
+
+  // A single explicit bound keeps a one-year window on the open side
+  if (!range && min !== undefined && max === undefined) window.to = addUnits(window.from, 'year', 1);
+  if (!range && max !== undefined && min === undefined) window.from = addUnits(window.to, 'year', -1);
+
+  if (window.from > window.to) {
+    throw new Error('Date range is empty: minimum is after maximum');
+  }
+
+  return window;
+}
+
+/**
+ * Truncate a timestamp to midnight of its calendar day in a time zone
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Epoch milliseconds of midnight
+ */
+function truncateToDay(timestamp, timeZone) {
+  const parts = getZonedParts(timestamp, timeZone);
+
+  // setUTCFullYear, unlike Date.UTC, does not read years 0-99 as 1900-1999
+  const midnight = new Date(0);
+  midnight.setUTCFullYear(parts.year, parts.month - 1, parts.day);
+
+  return midnight.getTime() - parts.offset * MS_PER_MINUTE;
+}
+
+/**
+ * Generate the edge dates allowed for a field
+ * Fields with bounds (min, max or range) get the ends of their window and the edge
+ * dates inside it; unbounded fields get every edge date.
+ * @param {object} options - Date options, as for generateDate
+ * @param {object} context - Generation context with the run's reference date
+ * @param {boolean} withTime - Whether to keep the time of day
+ * @returns {Array<string|number>} Formatted edge dates
+ */
+function edgeDates(options = {}, context, withTime = true) {
+  const bounded = options.min !== undefined || options.max !== undefined || options.range;
+  const { from, to } = bounded ? resolveWindow(options, context.refDate) : { from: -Infinity, to: Infinity };
+  const candidates = [
+    ...(bounded ? [from, to] : []),
+    ...EDGE_DATES.map(toTimestamp).filter(timestamp => timestamp >= from && timestamp <= to)
+  ];
+
+  const timestamps = candidates
+    .map(timestamp => (withTime ? timestamp : truncateToDay(timestamp, options.timeZone)))
+    .filter(timestamp => timestamp >= from && timestamp <= to)
+    .filter(timestamp => satisfiesConstraints(timestamp, withTime ? options : { ...options, businessHours: false }));
+
+  return [...new Set(timestamps)].map(timestamp => formatDate(timestamp, options, withTime));
+}
+
+/**
+ * Generate a date or datetime value
+ * @param {object} options - Date options
+ * @param {Date|string|number} options.min - Earliest allowed date
+ * @param {Date|string|number} options.max - Latest allowed date
+ * @param {string} options.range - Relative window such as "last 30 days" or "next quarter"
+ * @param {string} options.format - Output format (iso, date, time, epochMs, epochSeconds or a pattern)
+ * @param {string} options.timeZone - IANA time zone for output and constraints
+ * @param {boolean} options.weekdaysOnly - Only Monday to Friday
+ * @param {boolean|object} options.businessHours - Only within {start, end} hours (default 9 to 17) on weekdays
+ * @param {object} context - Generation context with the run's random engine and reference date
+ * @param {boolean} withTime - Whether to keep the time of day
+ * @returns {string|number} Generated date
+ */
+function generateDate(options = {}, context, withTime = true) {
+  const { faker, refDate } = context;
+  const { from, to } = resolveWindow(options, refDate);
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    let timestamp = faker.number.int({ min: from, max: to });
+
+    // Plain dates are truncated to midnight of their calendar day in the target time zone
+    if (!withTime) {
+      timestamp = truncateToDay(timestamp, options.timeZone);
+    }
+
+    if (satisfiesConstraints(timestamp, withTime ? options : { ...options, businessHours: false })) {
+      return formatDate(timestamp, options, withTime);
+    }
+  }
+
+  throw new Error('No date in the requested range satisfies the weekday/business-hours constraints');
+}
+
+module.exports = {
+  toTimestamp,
+  getZonedParts,
+  resolveRange,
+  formatDate,
+  edgeDates,
+  generateDate
+};
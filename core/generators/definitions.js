@@ -0,0 +1,132 @@
+/**
+ * Definitions module
+ * Resolves `$ref` fields against a schema's shared definitions, including recursive ones
+ */
+
+const _ = require('lodash');
+
+/**
+ * Default number of nested `$ref` expansions before recursion ends
+ */
+const DEFAULT_MAX_DEPTH = 3;
+
+/**
+ * Default largest number of items in an array of `$ref` items
+ */
+const DEFAULT_MAX_BRANCHING = 3;
+
+/**
+ * Pointer prefixes of local definitions, stripped down to the definition name
+ */
+const POINTER_PREFIXES = ['#/definitions/', '#/components/schemas/', '#/$defs/'];
+
+/**
+ * Resolved field definitions, by definitions map and then by referencing field
+ */
+const resolvedFields = new WeakMap();
+
+/**
+ * Turn a `$ref` pointer into a definition name
+ * '#/definitions/Comment' and '#/components/schemas/Comment' both name 'Comment', and
+ * '#' names the schema itself.
+ * @param {string} ref - Pointer or definition name
+ * @returns {string} Definition name
+ */
+function parseDefinitionRef(ref) {
+  const prefix = POINTER_PREFIXES.find(candidate => ref.startsWith(candidate));
+  return prefix ? ref.slice(prefix.length) : ref;
+}
+
+/**
+ * Collect the definitions of a schema, with the schema itself available as '#'
+ * @param {object} schema - Schema definition
+ * @param {object} fields - Normalized field definitions of the schema
+ * @returns {object} Definitions by name
+ */
+function collectDefinitions(schema, fields) {
+  return { ...schema.definitions, '#': { fields } };
+}
+
+/**
+ * Normalize the recursion limits of a schema
+ * @param {object} recursion - Schema-level {maxDepth, maxBranching}
+ * @returns {object} Recursion limits
+ */
+function normalizeRecursion(recursion = {}) {
+  const { maxDepth = DEFAULT_MAX_DEPTH, maxBranching = DEFAULT_MAX_BRANCHING } = recursion;
+
+  if (!Number.isInteger(maxDepth) || maxDepth < 0) {
+    throw new Error('Recursion maxDepth must be a non-negative integer');
+  }
+  if (!Number.isInteger(maxBranching) || maxBranching < 0) {
+    throw new Error('Recursion maxBranching must be a non-negative integer');
+  }
+
+  return { maxDepth, maxBranching };
+}
+
+/**
+ * Resolve a `$ref` field into the field definition it points at
+ * Object definitions ({fields}) become objects with those properties; other definitions are
+ * field definitions themselves. Options set next to `$ref` (nullable, required, ...) win.
+ * @param {object} fieldDef - Field definition with a `$ref`
+ * @param {object} definitions - Definitions by name
+ * @returns {object} Resolved field definition, the same object for every call
+ */
+function resolveDefinition(fieldDef, definitions = {}) {
+  if (!resolvedFields.has(definitions)) resolvedFields.set(definitions, new WeakMap());
+
+  const resolved = resolvedFields.get(definitions);
+  if (resolved.has(fieldDef)) return resolved.get(fieldDef);
+
+  // A definition may itself only point at another definition
+  const seen = [];
+  let name = parseDefinitionRef(String(fieldDef.$ref));
+  let target = {};
+
+  for (;;) {
+    const definition = Object.prototype.hasOwnProperty.call(definitions, name) ? definitions[name] : null;
+
+    if (!definition) {
+      throw new Error(`Unknown definition "${name}"`);
+    }
+    if (seen.includes(name)) {
+      throw new Error(`Definitions ${[...seen, name].map(entry => `"${entry}"`).join(' -> ')} only point at each other`);
+    }
+    seen.push(name);
+
+    const current = definition.fields ? { type: 'object', properties: definition.fields } : _.omit(definition, 'name');
+    target = { ..._.omit(current, '$ref'), ...target };
+
+    if (!current.$ref) break;
+    name = parseDefinitionRef(String(current.$ref));
+  }
+
+  const result = { ...target, ..._.omit(fieldDef, ['$ref', 'name']) };
+  resolved.set(fieldDef, result);
+
+  return result;
+}
+
+/**
+ * Check whether a field can no longer be expanded because recursion reached its limit
+ * @param {object} fieldDef - Field definition
+ * @param {object} context - Generation context, with `depth` and `recursion`
+ * @returns {boolean} True when the field is a `$ref` at the maximum depth
+ */
+function isDepthExceeded(fieldDef, context) {
+  if (!fieldDef || !fieldDef.$ref) return false;
+
+  const { maxDepth } = context.recursion || normalizeRecursion();
+  return (context.depth || 0) >= maxDepth;
+}
+
+module.exports = {
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_MAX_BRANCHING,
+  parseDefinitionRef,
+  collectDefinitions,
+  normalizeRecursion,
+  resolveDefinition,
+  isDepthExceeded
+};
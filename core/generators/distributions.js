@@ -0,0 +1,211 @@
+/**
+ * Distributions module
+ * Samples numbers from statistical distributions using a run's random engine
+ */
+
+/**
+ * Supported distribution types
+ */
+const DISTRIBUTIONS = ['uniform', 'normal', 'lognormal', 'exponential', 'poisson', 'zipf'];
+
+/**
+ * Largest lambda sampled exactly; above it the Poisson is approximated by a normal
+ */
+const MAX_EXACT_POISSON_LAMBDA = 30;
+
+/**
+ * Largest number of Zipf ranks supported
+ */
+const MAX_ZIPF_RANKS = 1000000;
+
+/**
+ * Cumulative Zipf probabilities by "ranks:exponent", kept per run (by its random engine)
+ * so they are released with the run
+ */
+const zipfTables = new WeakMap();
+
+/**
+ * Normalize a distribution declaration
+ * @param {string|object} distribution - Distribution name or {type, ...parameters}
+ * @returns {object} Distribution {type, ...parameters}
+ */
+function normalizeDistribution(distribution) {
+  const spec = typeof distribution === 'string' ? { type: distribution } : { ...distribution };
+
+  if (!DISTRIBUTIONS.includes(spec.type)) {
+    throw new Error(`Unknown distribution "${spec.type}"; expected one of ${DISTRIBUTIONS.join(', ')}`);
+  }
+
+  return spec;
+}
+
+/**
+ * Draw a uniform number in (0, 1]
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {number} Uniform sample
+ */
+function uniform(faker) {
+  return 1 - faker.number.float({ min: 0, max: 1 }) || Number.MIN_VALUE;
+}
+
+/**
+ * Draw a standard normal number (Box-Muller transform)
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {number} Normal sample with mean 0 and standard deviation 1
+ */
+function standardNormal(faker) {
+  return Math.sqrt(-2 * Math.log(uniform(faker))) * Math.cos(2 * Math.PI * uniform(faker));
+}
+
+/**
+ * Draw a Poisson distributed count
+ * @param {number} lambda - Expected count
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {number} Non-negative integer
+ */
+function poisson(lambda, faker) {
+  if (lambda > MAX_EXACT_POISSON_LAMBDA) {
+    return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * standardNormal(faker)));
+  }
+
+  // Knuth's multiplication method
+  const limit = Math.exp(-lambda);
+  let count = 0;
+  let product = uniform(faker);
+
+  while (product > limit) {
+    count++;
+    product *= uniform(faker);
+  }
+
+  return count;
+}
+
+/**
+ * Draw a Zipf distributed rank
+ * @param {number} ranks - Number of ranks
+ * @param {number} exponent - Skew of the distribution (1 is classic Zipf)
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {number} Rank between 1 and `ranks`
+ */
+function zipf(ranks, exponent, faker) {
+  if (!Number.isInteger(ranks) || ranks < 1 || ranks > MAX_ZIPF_RANKS) {
+    throw new Error(`Zipf distributions need between 1 and ${MAX_ZIPF_RANKS} ranks`);
+  }
+
+  if (!zipfTables.has(faker)) zipfTables.set(faker, new Map());
+
+  const tables = zipfTables.get(faker);
+  const key = `${ranks}:${exponent}`;
+  let table = tables.get(key);
+
+  if (!table) {
+    table = new Float64Array(ranks);
+    let total = 0;
+    for (let rank = 1; rank <= ranks; rank++) {
+      total += 1 / Math.pow(rank, exponent);
+      table[rank - 1] = total;
+    }
+    table = table.map(value => value / total);
+    tables.set(key, table);
+  }
+
+  // Binary search for the first rank whose cumulative probability reaches the draw
+  const target = faker.number.float({ min: 0, max: 1 });
+  let low = 0;
+  let high = ranks - 1;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (table[middle] < target) low = middle + 1;
+    else high = middle;
+  }
+
+  return low + 1;
+}
+
+/**
+ * Sample a number from a distribution
+ * Parameters default to values derived from the range, and samples are clamped to
+ * `min`/`max` when those are given:
+ * - normal: `mean` (middle of the range), `stddev` (a sixth of the range)
+ * - lognormal: `mu`, `sigma` of the underlying normal (0 and 1), offset by `min`
+ * - exponential: `rate` or `mean` (a quarter of the range), offset by `min`
+ * - poisson: `lambda` (middle of the range)
+ * - zipf: exponent `s` (1) over `n` ranks (the size of the range), rank 1 mapped to `min`
+ * @param {string|object} distribution - Distribution name or {type, ...parameters}
+ * @param {object} bounds - Range of the field {min, max}
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {number} Sampled number
+ */
+function sampleDistribution(distribution, bounds = {}, faker) {
+  const spec = normalizeDistribution(distribution);
+  const { min, max } = bounds;
+  const low = min !== undefined ? min : 0;
+  const high = max !== undefined ? max : low + 1000;
+  const span = high - low;
+  let value;
+
+  switch (spec.type) {
+    case 'normal': {
+      const { mean = low + span / 2, stddev = span / 6 } = spec;
+      value = mean + stddev * standardNormal(faker);
+      break;
+    }
+    case 'lognormal': {
+      const { mu = 0, sigma = 1 } = spec;
+      value = low + Math.exp(mu + sigma * standardNormal(faker));
+      break;
+    }
+    case 'exponential': {
+      const rate = spec.rate || 1 / (spec.mean || span / 4 || 1);
+      value = low - Math.log(uniform(faker)) / rate;
+      break;
+    }
+    case 'poisson': {
+      const { lambda = low + span / 2 } = spec;
+      value = poisson(lambda, faker);
+      break;
+    }
+    case 'zipf': {
+      const { s = 1, n = Math.floor(span) + 1 } = spec;
+      value = low + zipf(n, s, faker) - 1;
+      break;
+    }
+    default:
+      value = faker.number.float({ min: low, max: high });
+  }
+
+  if (min !== undefined) value = Math.max(value, min);
+  if (max !== undefined) value = Math.min(value, max);
+
+  return value;
+}
+
+/**
+ * Pick an index into a list of categories following a distribution
+ * Only rank-based distributions make sense for categories, so the first values are the most frequent.
+ * @param {string|object} distribution - Distribution name or {type, ...parameters}
+ * @param {number} size - Number of categories
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {number} Index between 0 and size - 1
+ */
+function sampleIndex(distribution, size, faker) {
+  const spec = normalizeDistribution(distribution);
+
+  if (spec.type === 'uniform') {
+    return faker.number.int({ min: 0, max: size - 1 });
+  }
+  if (spec.type !== 'zipf') {
+    throw new Error(`Distribution "${spec.type}" cannot be used to pick categories; use weights or "zipf"`);
+  }
+
+  return zipf(size, spec.s !== undefined ? spec.s : 1, faker) - 1;
+}
+
+module.exports = {
+  DISTRIBUTIONS,
+  normalizeDistribution,
+  uniform,
+  sampleDistribution,
+  sampleIndex
+};
@@ -0,0 +1,228 @@
+/**
+ * Entities module
+ * Personas and locations shared by the fields of a record, so related fields agree
+ */
+
+const _ = require('lodash');
+
+const { Faker, allLocales, en, base } = require('@faker-js/faker');
+
+/**
+ * Countries a location is drawn from: the faker locale holding their cities, states, postal
+ * codes and streets, and what faker does not know, their calling code, national phone number
+ * format ('#' for digits) and a center and radius in kilometers for coordinates
+ */
+const COUNTRIES = [
+  { alpha2: 'US', locale: 'en_US', callingCode: '1', phoneFormat: '(###) ###-####', center: [39.0, -95.7], radius: 1000 },
+  { alpha2: 'CA', locale: 'en_CA', callingCode: '1', phoneFormat: '(###) ###-####', center: [45.4, -75.7], radius: 300 },
+  { alpha2: 'GB', locale: 'en_GB', callingCode: '44', phoneFormat: '#### ######', center: [52.5, -1.5], radius: 150 },
+  { alpha2: 'AU', locale: 'en_AU', callingCode: '61', phoneFormat: '#### ### ###', center: [-33.0, 147.0], radius: 500 },
+  { alpha2: 'IN', locale: 'en_IN', callingCode: '91', phoneFormat: '##### #####', center: [21.0, 78.0], radius: 800 },
+  { alpha2: 'ZA', locale: 'en_ZA', callingCode: '27', phoneFormat: '## ### ####', center: [-28.5, 25.0], radius: 400 },
+  { alpha2: 'NG', locale: 'en_NG', callingCode: '234', phoneFormat: '### ### ####', center: [9.0, 8.0], radius: 300 },
+  { alpha2: 'GH', locale: 'en_GH', callingCode: '233', phoneFormat: '## ### ####', center: [7.9, -1.0], radius: 150 },
+  { alpha2: 'DE', locale: 'de', callingCode: '49', phoneFormat: '### #######', center: [51.2, 10.4], radius: 250 },
+  { alpha2: 'AT', locale: 'de_AT', callingCode: '43', phoneFormat: '### #######', center: [47.6, 14.1], radius: 100 },
+  { alpha2: 'CH', locale: 'de_CH', callingCode: '41', phoneFormat: '## ### ## ##', center: [46.8, 8.2], radius: 60 },
+  { alpha2: 'FR', locale: 'fr', callingCode: '33', phoneFormat: '# ## ## ## ##', center: [46.6, 2.4], radius: 300 },
+  { alpha2: 'BE', locale: 'nl_BE', callingCode: '32', phoneFormat: '### ## ## ##', center: [50.6, 4.5], radius: 60 },
+  { alpha2: 'LU', locale: 'fr_LU', callingCode: '352', phoneFormat: '### ###', center: [49.7, 6.1], radius: 20 },
+  { alpha2: 'SN', locale: 'fr_SN', callingCode: '221', phoneFormat: '## ### ## ##', center: [14.5, -14.5], radius: 150 },
+  { alpha2: 'ES', locale: 'es', callingCode: '34', phoneFormat: '### ### ###', center: [40.2, -3.7], radius: 300 },
+  { alpha2: 'MX', locale: 'es_MX', callingCode: '52', phoneFormat: '## #### ####', center: [23.6, -102.5], radius: 500 },
+  { alpha2: 'IT', locale: 'it', callingCode: '39', phoneFormat: '### ### ####', center: [42.8, 12.6], radius: 250 },
+  { alpha2: 'PT', locale: 'pt_PT', callingCode: '351', phoneFormat: '### ### ###', center: [39.6, -8.0], radius: 120 },
+  { alpha2: 'BR', locale: 'pt_BR', callingCode: '55', phoneFormat: '## #####-####', center: [-14.2, -51.9], radius: 1000 },
+  { alpha2: 'NL', locale: 'nl', callingCode: '31', phoneFormat: '## ### ####', center: [52.2, 5.3], radius: 60 },
+  { alpha2: 'PL', locale: 'pl', callingCode: '48', phoneFormat: '### ### ###', center: [52.0, 19.1], radius: 250 },
+  { alpha2: 'RU', locale: 'ru', callingCode: '7', phoneFormat: '### ###-##-##', center: [55.75, 37.6], radius: 700 },
+  { alpha2: 'UA', locale: 'uk', callingCode: '380', phoneFormat: '## ### ## ##', center: [49.0, 31.2], radius: 400 },
+  { alpha2: 'RO', locale: 'ro', callingCode: '40', phoneFormat: '### ### ###', center: [45.9, 24.9], radius: 200 },
+  { alpha2: 'CZ', locale: 'cs_CZ', callingCode: '420', phoneFormat: '### ### ###', center: [49.8, 15.5], radius: 150 },
+  { alpha2: 'HR', locale: 'hr', callingCode: '385', phoneFormat: '## ### ####', center: [45.1, 15.2], radius: 100 },
+  { alpha2: 'RS', locale: 'sr_RS_latin', callingCode: '381', phoneFormat: '## ### ####', center: [44.0, 20.9], radius: 100 },
+  { alpha2: 'MK', locale: 'mk', callingCode: '389', phoneFormat: '## ### ###', center: [41.6, 21.7], radius: 50 },
+  { alpha2: 'LV', locale: 'lv', callingCode: '371', phoneFormat: '## ### ###', center: [56.9, 24.6], radius: 100 },
+  { alpha2: 'SE', locale: 'sv', callingCode: '46', phoneFormat: '##-### ## ##', center: [60.1, 15.0], radius: 300 },
+  { alpha2: 'FI', locale: 'fi', callingCode: '358', phoneFormat: '## ### ####', center: [61.9, 25.7], radius: 250 },
+  { alpha2: 'TR', locale: 'tr', callingCode: '90', phoneFormat: '### ### ## ##', center: [39.0, 35.2], radius: 400 },
+  { alpha2: 'IL', locale: 'he', callingCode: '972', phoneFormat: '##-###-####', center: [31.5, 34.9], radius: 60 },
+  { alpha2: 'IR', locale: 'fa', callingCode: '98', phoneFormat: '### ### ####', center: [32.4, 53.7], radius: 500 },
+  { alpha2: 'PK', locale: 'ur', callingCode: '92', phoneFormat: '### #######', center: [30.4, 69.3], radius: 400 },
+  { alpha2: 'NP', locale: 'ne', callingCode: '977', phoneFormat: '##-#######', center: [28.4, 84.1], radius: 150 },
+  { alpha2: 'CN', locale: 'zh_CN', callingCode: '86', phoneFormat: '### #### ####', center: [32.0, 112.0], radius: 800 },
+  { alpha2: 'TW', locale: 'zh_TW', callingCode: '886', phoneFormat: '# #### ####', center: [23.7, 121.0], radius: 100 },
+  { alpha2: 'JP', locale: 'ja', callingCode: '81', phoneFormat: '##-####-####', center: [36.2, 138.3], radius: 300 },
+  { alpha2: 'KR', locale: 'ko', callingCode: '82', phoneFormat: '##-####-####', center: [36.5, 127.8], radius: 150 },
+  { alpha2: 'ID', locale: 'id_ID', callingCode: '62', phoneFormat: '###-####-####', center: [-6.2, 106.8], radius: 400 },
+  { alpha2: 'VN', locale: 'vi', callingCode: '84', phoneFormat: '## #### ####', center: [21.0, 105.8], radius: 100 },
+  { alpha2: 'TH', locale: 'th', callingCode: '66', phoneFormat: '## ### ####', center: [15.0, 101.0], radius: 300 }
+];
+
+/**
+ * English country names by alpha-2 code
+ */
+const COUNTRY_NAMES = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * Alpha-3 country codes by alpha-2 code
+ */
+const ALPHA3_CODES = Object.fromEntries(base.location.country_code.map(({ alpha2, alpha3 }) => [alpha2, alpha3]));
+
+/**
+ * Faker instances of each country's locale, by the run's random engine
+ */
+const localeFakers = new WeakMap();
+
+/**
+ * Get a faker instance with a country's locale data that draws from the run's random engine
+ * The locale falls back to its language (fr_LU to fr) and then to English.
+ * @param {Faker} faker - Random engine of the current run
+ * @param {object} country - Country entry
+ * @returns {Faker} Faker instance of the locale
+ */
+function localeFaker(faker, country) {
+  if (!localeFakers.has(faker)) localeFakers.set(faker, new Map());
+
+  const instances = localeFakers.get(faker);
+  if (!instances.has(country.locale)) {
+    const language = country.locale.split('_')[0];
+    const locales = [allLocales[country.locale], language !== country.locale && allLocales[language], en, base]
+      .filter(Boolean);
+
+    // Seeded runs stay reproducible because every draw comes from the run's engine
+    const randomizer = { next: () => faker.number.int(0xffffffff) / 0x100000000, seed: () => {} };
+    instances.set(country.locale, new Faker({ locale: _.uniq(locales), randomizer }));
+  }
+
+  return instances.get(country.locale);
+}
+
+/**
+ * Fill a format with random digits ('#') and upper case letters ('?')
+ * @param {string} format - Format string
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {string} Filled format
+ */
+function fillFormat(format, faker) {
+  return format.replace(/[#?]/g, symbol => symbol === '#'
+    ? String(faker.number.int({ min: 0, max: 9 }))
+    : faker.string.alpha({ length: 1, casing: 'upper' }));
+}
+
+/**
+ * Create a persona: the person behind a record's name, sex and age fields
+ * @param {Faker} faker - Random engine of the current run
+ * @param {string} sex - 'female' or 'male' (random if omitted)
+ * @returns {object} Persona
+ */
+function createPersona(faker, sex) {
+  const personaSex = sex || faker.person.sexType();
+
+  return {
+    sex: personaSex,
+    firstName: faker.person.firstName(personaSex),
+    lastName: faker.person.lastName(personaSex)
+  };
+}
+
+/**
+ * Create a location: the place behind a record's address, coordinates and phone fields
+ * @param {Faker} faker - Random engine of the current run
+ * @param {string} countryCode - Alpha-2 code of the country to use (random if omitted)
+ * @returns {object} Location
+ */
+function createLocation(faker, countryCode) {
+  const country = countryCode
+    ? COUNTRIES.find(entry => entry.alpha2 === String(countryCode).toUpperCase())
+    : faker.helpers.arrayElement(COUNTRIES);
+
+  if (!country) {
+    throw new Error(`Unknown country "${countryCode}"; expected one of ${COUNTRIES.map(entry => entry.alpha2).join(', ')}`);
+  }
+
+  const local = localeFaker(faker, country);
+  const { state: states, state_abbr: stateCodes, postcode_by_state: postcodesByState } = local.rawDefinitions.location;
+
+  // State names and abbreviations are listed in the same order
+  const stateIndex = faker.number.int({ min: 0, max: states.length - 1 });
+  const state = states[stateIndex];
+  const stateCode = stateCodes && stateCodes.length === states.length ? stateCodes[stateIndex] : state;
+  const [latitude, longitude] = local.location.nearbyGPSCoordinate({ origin: country.center, radius: country.radius, isMetric: true });
+
+  return {
+    street: local.location.streetAddress(),
+    city: local.location.city(),
+    state,
+    stateCode,
+    zipCode: postcodesByState && postcodesByState[stateCode]
+      ? local.location.zipCode({ state: stateCode })
+      : local.location.zipCode(),
+    country: COUNTRY_NAMES.of(country.alpha2),
+    countryCode: country.alpha2,
+    countryCode3: ALPHA3_CODES[country.alpha2],
+    callingCode: country.callingCode,
+    phoneFormat: country.phoneFormat,
+    latitude: Number(Number(latitude).toFixed(6)),
+    longitude: Number(Number(longitude).toFixed(6))
+  };
+}
+
+/**
+ * Generate a phone number in a location's country
+ * Numbers are drawn per field, so several phone fields of a record can differ.
+ * @param {object} location - Location
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {string} International phone number
+ */
+function locationPhone(location, faker) {
+  return `+${location.callingCode} ${fillFormat(location.phoneFormat, faker)}`;
+}
+
+/**
+ * Get the entity a field draws from, creating it on first use
+ * Fields share one entity per kind and group within a record (or array item). Fields
+ * with `group: false`, and values generated outside a record, get an entity of their own.
+ * @param {object} context - Generation context, with the record's `entities` and current `group`
+ * @param {string} kind - Entity kind ('persona' or 'location')
+ * @param {object} options - Field options; `group` names the entity to share
+ * @param {Function} create - Creates a new entity
+ * @returns {object} Entity
+ */
+function useEntity(context, kind, options, create) {
+  if (options.group === false || !context.entities) return create();
+
+  const key = `${kind}:${options.group || context.group || 'default'}`;
+  if (!context.entities[key]) context.entities[key] = create();
+
+  return context.entities[key];
+}
+
+/**
+ * Get the persona a field draws from
+ * @param {object} context - Generation context
+ * @param {object} options - Field options (group, sex)
+ * @returns {object} Persona
+ */
+function usePersona(context, options = {}) {
+  return useEntity(context, 'persona', options, () => createPersona(context.faker, options.sex));
+}
+
+/**
+ * Get the location a field draws from
+ * @param {object} context - Generation context
+ * @param {object} options - Field options (group, country)
+ * @returns {object} Location
+ */
+function useLocation(context, options = {}) {
+  return useEntity(context, 'location', options, () => createLocation(context.faker, options.country));
+}
+
+module.exports = {
+  COUNTRIES,
+  createPersona,
+  createLocation,
+  usePersona,
+  useLocation,
+  locationPhone
+};
@@ -0,0 +1,583 @@
+/**
+ * Expressions module
+ * Parses and evaluates the expressions and templates of computed fields
+ *
+ * Expressions are interpreted from their own syntax tree, never with eval, so they can
+ * only read the fields of the record and call the functions listed below.
+ */
+
+const _ = require('lodash');
+const { toTimestamp, formatDate } = require('./dateGenerators');
+
+const MS_PER_SECOND = 1000;
+const MS_PER_MINUTE = 60 * MS_PER_SECOND;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+/**
+ * Property names that are never read, so expressions cannot reach object prototypes
+ */
+const FORBIDDEN_PROPERTIES = ['__proto__', 'prototype', 'constructor'];
+
+/**
+ * Operators by precedence, from loosest to tightest binding
+ */
+const BINARY_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!=', '===', '!=='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+/**
+ * Longest string a function may pad to, so an expression cannot exhaust memory
+ */
+const MAX_STRING_LENGTH = 10000;
+
+const OPERATORS = ['===', '!==', '**', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ',', '.'];
+
+/**
+ * Shift a date-like value, keeping its representation (epoch number, Date, date or ISO string)
+ * @param {Date|string|number} value - Date-like value
+ * @param {number} milliseconds - Amount to add
+ * @returns {Date|string|number} Shifted date
+ */
+function shiftDate(value, milliseconds) {
+  if (value === null || value === undefined) return value;
+
+  const timestamp = toTimestamp(value) + milliseconds;
+
+  if (typeof value === 'number') return timestamp;
+  if (value instanceof Date) return new Date(timestamp);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(timestamp).toISOString().split('T')[0]
+    : new Date(timestamp).toISOString();
+}
+
+/**
+ * Check a length given to a string function
+ * @param {string} name - Function name
+ * @param {number} length - Requested length
+ * @returns {number} The length
+ */
+function checkLength(name, length) {
+  if (Number(length) > MAX_STRING_LENGTH) {
+    throw new Error(`${name}() length must be at most ${MAX_STRING_LENGTH}, got ${length}`);
+  }
+  return length;
+}
+
+/**
+ * Functions available to expressions
+ */
+const FUNCTIONS = {
+  // Text
+  upper: value => String(value).toUpperCase(),
+  lower: value => String(value).toLowerCase(),
+  trim: value => String(value).trim(),
+  capitalize: value => _.capitalize(value),
+  slugify: value => _.kebabCase(_.deburr(value)),
+  concat: (...values) => values.map(value => (value === null || value === undefined ? '' : value)).join(''),
+  substring: (value, start, end) => String(value).substring(start, end),
+  replace: (value, search, replacement) => String(value).split(String(search)).join(String(replacement)),
+  padStart: (value, length, fill = ' ') => String(value).padStart(checkLength('padStart', length), fill),
+  length: value => (value === null || value === undefined ? 0 : value.length),
+  string: value => String(value),
+
+  // Numbers
+  number: value => Number(value),
+  round: (value, digits = 0) => _.round(value, digits),
+  floor: value => Math.floor(value),
+  ceil: value => Math.ceil(value),
+  abs: value => Math.abs(value),
+  min: (...values) => Math.min(...values),
+  max: (...values) => Math.max(...values),
+  pow: (base, exponent) => Math.pow(base, exponent),
+  sqrt: value => Math.sqrt(value),
+
+  // Dates
+  addSeconds: (value, amount) => shiftDate(value, amount * MS_PER_SECOND),
+  addMinutes: (value, amount) => shiftDate(value, amount * MS_PER_MINUTE),
+  addHours: (value, amount) => shiftDate(value, amount * MS_PER_HOUR),
+  addDays: (value, amount) => shiftDate(value, amount * MS_PER_DAY),
+  diffDays: (later, earlier) => (toTimestamp(later) - toTimestamp(earlier)) / MS_PER_DAY,
+  formatDate: (value, format, timeZone) => formatDate(toTimestamp(value), { format, timeZone }),
+  year: value => new Date(toTimestamp(value)).getUTCFullYear(),
+  month: value => new Date(toTimestamp(value)).getUTCMonth() + 1,
+  day: value => new Date(toTimestamp(value)).getUTCDate(),
+
+  // Values
+  coalesce: (...values) => values.find(value => value !== null && value !== undefined)
+};
+
+/**
+ * Functions that draw from the run's random engine, so seeded runs stay reproducible
+ */
+const RANDOM_FUNCTIONS = {
+  randomInt: (faker, min, max) => faker.number.int({ min, max }),
+  randomFloat: (faker, min, max, digits = 2) => faker.number.float({ min, max, fractionDigits: digits }),
+  pick: (faker, ...values) => faker.helpers.arrayElement(values),
+  chance: (faker, probability) => faker.datatype.boolean({ probability })
+};
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression source
+ * @returns {Array} Tokens {type, value, position}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const char = source[pos];
+
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    const rest = source.slice(pos);
+    const number = rest.match(/^\d+(\.\d+)?([eE][+-]?\d+)?/);
+    const identifier = rest.match(/^[A-Za-z_$][\w$]*/);
+
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: pos });
+      pos += number[0].length;
+    } else if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position: pos });
+      pos += identifier[0].length;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      let end = pos + 1;
+
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === '\\' && end + 1 < source.length) end++;
+        value += source[end++];
+      }
+      if (end >= source.length) {
+        throw new Error(`Unterminated string at position ${pos}`);
+      }
+
+      tokens.push({ type: 'string', value, position: pos });
+      pos = end + 1;
+    } else {
+      const operator = OPERATORS.find(op => rest.startsWith(op));
+      if (!operator) {
+        throw new Error(`Unexpected character "${char}" at position ${pos}`);
+      }
+
+      tokens.push({ type: 'operator', value: operator, position: pos });
+      pos += operator.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} source - Expression source
+ * @returns {object} Syntax tree
+ */
+function parseExpression(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      const token = peek();
+      throw new Error(token
+        ? `Expected "${value}" at position ${token.position}`
+        : `Expected "${value}" at the end of the expression`);
+    }
+    index++;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+      if (token.value === 'null') return { type: 'literal', value: null };
+
+      if (isOperator('(')) {
+        index++;
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(parseConditional());
+          while (isOperator(',')) {
+            index++;
+            args.push(parseConditional());
+          }
+        }
+        expect(')');
+
+        if (!_.has(FUNCTIONS, token.value) && !_.has(RANDOM_FUNCTIONS, token.value)) {
+          throw new Error(`Unknown function "${token.value}"`);
+        }
+        return { type: 'call', name: token.value, args };
+      }
+
+      return { type: 'identifier', name: token.value };
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const expression = parseConditional();
+      expect(')');
+      return expression;
+    }
+
+    throw new Error(`Unexpected "${token.value}" at position ${token.position}`);
+  };
+
+  const parseMember = () => {
+    let node = parsePrimary();
+
+    while (isOperator('.')) {
+      index++;
+      const property = tokens[index++];
+
+      if (!property || (property.type !== 'identifier' && property.type !== 'number')) {
+        throw new Error('Expected a property name after "."');
+      }
+      if (FORBIDDEN_PROPERTIES.includes(String(property.value))) {
+        throw new Error(`Property "${property.value}" cannot be accessed`);
+      }
+
+      node = { type: 'member', object: node, property: String(property.value) };
+    }
+
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOperator('!') || isOperator('-') || isOperator('+')) {
+      const operator = tokens[index++].value;
+      return { type: 'unary', operator, argument: parseUnary() };
+    }
+
+    const base = parseMember();
+
+    // Exponentiation binds tighter than unary minus on its right and is right-associative
+    if (isOperator('**')) {
+      index++;
+      return { type: 'binary', operator: '**', left: base, right: parseUnary() };
+    }
+
+    return base;
+  };
+
+  const parseBinary = (level) => {
+    if (level >= BINARY_PRECEDENCE.length) return parseUnary();
+
+    let node = parseBinary(level + 1);
+
+    while (peek() && peek().type === 'operator' && BINARY_PRECEDENCE[level].includes(peek().value)) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: parseBinary(level + 1) };
+    }
+
+    return node;
+  };
+
+  const parseConditional = () => {
+    const test = parseBinary(0);
+
+    if (!isOperator('?')) return test;
+
+    index++;
+    const consequent = parseConditional();
+    expect(':');
+    const alternate = parseConditional();
+
+    return { type: 'conditional', test, consequent, alternate };
+  };
+
+  const tree = parseConditional();
+
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}" at position ${peek().position}`);
+  }
+
+  return tree;
+}
+
+/**
+ * Collect the names an expression reads from its scope
+ * @param {object} node - Syntax tree
+ * @param {Set} names - Names collected so far
+ * @returns {Set} Names read by the expression
+ */
+function collectNames(node, names = new Set()) {
+  switch (node.type) {
+    case 'identifier':
+      names.add(node.name);
+      break;
+    case 'member':
+      collectNames(node.object, names);
+      break;
+    case 'call':
+      node.args.forEach(arg => collectNames(arg, names));
+      break;
+    case 'unary':
+      collectNames(node.argument, names);
+      break;
+    case 'binary':
+      collectNames(node.left, names);
+      collectNames(node.right, names);
+      break;
+    case 'conditional':
+      collectNames(node.test, names);
+      collectNames(node.consequent, names);
+      collectNames(node.alternate, names);
+      break;
+    default:
+      break;
+  }
+
+  return names;
+}
+
+/**
+ * Evaluate a syntax tree
+ * @param {object} node - Syntax tree
+ * @param {object} scope - Values by name
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {*} Value of the expression
+ */
+function evaluate(node, scope, faker) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      return _.has(scope, node.name) ? scope[node.name] : undefined;
+    case 'member': {
+      const object = evaluate(node.object, scope, faker);
+      return object !== null && typeof object === 'object' && _.has(object, node.property)
+        ? object[node.property]
+        : undefined;
+    }
+    case 'call': {
+      const args = node.args.map(arg => evaluate(arg, scope, faker));
+      return _.has(RANDOM_FUNCTIONS, node.name)
+        ? RANDOM_FUNCTIONS[node.name](faker, ...args)
+        : FUNCTIONS[node.name](...args);
+    }
+    case 'unary': {
+      const value = evaluate(node.argument, scope, faker);
+      if (node.operator === '!') return !value;
+      return node.operator === '-' ? -value : +value;
+    }
+    case 'conditional':
+      return evaluate(node.test, scope, faker)
+        ? evaluate(node.consequent, scope, faker)
+        : evaluate(node.alternate, scope, faker);
+    case 'binary': {
+      // Logical operators short-circuit like their JavaScript counterparts
+      if (node.operator === '&&') return evaluate(node.left, scope, faker) && evaluate(node.right, scope, faker);
+      if (node.operator === '||') return evaluate(node.left, scope, faker) || evaluate(node.right, scope, faker);
+
+      const left = evaluate(node.left, scope, faker);
+      const right = evaluate(node.right, scope, faker);
+
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        case '**': return left ** right;
+        case '==':
+        case '===': return left === right;
+        case '!=':
+        case '!==': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        default:
+          throw new Error(`Unsupported operator "${node.operator}"`);
+      }
+    }
+    default:
+      throw new Error(`Unsupported expression node "${node.type}"`);
+  }
+}
+
+/**
+ * Collect the names an expression compares with null, as in `shippedAt != null`
+ * @param {object} node - Syntax tree
+ * @param {Set} names - Names collected so far
+ * @returns {Set} Names compared with null
+ */
+function collectNullChecks(node, names = new Set()) {
+  const isNull = side => side.type === 'literal' && side.value === null;
+
+  if (node.type === 'binary' && ['==', '!=', '===', '!=='].includes(node.operator)) {
+    if (isNull(node.right) && node.left.type === 'identifier') names.add(node.left.name);
+    if (isNull(node.left) && node.right.type === 'identifier') names.add(node.right.name);
+  }
+
+  [node.object, node.argument, node.left, node.right, node.test, node.consequent, node.alternate, ...(node.args || [])]
+    .filter(Boolean)
+    .forEach(child => collectNullChecks(child, names));
+
+  return names;
+}
+
+/**
+ * Compile an expression
+ * @param {string} source - Expression source
+ * @returns {object} Compiled expression {dependencies, nullChecks, evaluate(scope, faker)}
+ */
+function compileExpression(source) {
+  const tree = parseExpression(String(source));
+
+  return {
+    dependencies: Array.from(collectNames(tree)),
+    nullChecks: Array.from(collectNullChecks(tree)),
+    evaluate: (scope, faker) => evaluate(tree, scope, faker)
+  };
+}
+
+/**
+ * Compile the expression or template of a computed field
+ * A template such as "{{firstName}} {{lastName}}" is text with embedded expressions; a
+ * template made of a single {{expression}} keeps the expression's value type.
+ * @param {object} fieldDef - Field definition with `expression` or `template`
+ * @returns {object} Compiled field {dependencies, evaluate(scope, faker)}
+ */
+function compileComputedField(fieldDef) {
+  const source = fieldDef.expression !== undefined ? fieldDef.expression : fieldDef.template;
+
+  try {
+    if (fieldDef.expression !== undefined) {
+      return compileExpression(fieldDef.expression);
+    }
+
+    const parts = String(fieldDef.template).split(/{{([\s\S]*?)}}/);
+    // Odd positions hold the embedded expressions
+    const trees = parts.map((part, i) => (i % 2 === 1 ? parseExpression(part) : null));
+    const dependencies = new Set();
+    trees.forEach(tree => tree && collectNames(tree, dependencies));
+
+    const single = parts.length === 3 && parts[0] === '' && parts[2] === '';
+
+    return {
+      dependencies: Array.from(dependencies),
+      evaluate: (scope, faker) => {
+        if (single) return evaluate(trees[1], scope, faker);
+
+        return parts.map((part, i) => {
+          if (i % 2 === 0) return part;
+          const value = evaluate(trees[i], scope, faker);
+          return value === null || value === undefined ? '' : value;
+        }).join('');
+      }
+    };
+  } catch (error) {
+    throw new Error(`Invalid expression "${source}": ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a field is computed from other fields
+ * @param {object} fieldDef - Field definition
+ * @returns {boolean} True when the field has an `expression` or a `template`
+ */
+function isComputedField(fieldDef) {
+  return Boolean(fieldDef) && (fieldDef.expression !== undefined || fieldDef.template !== undefined);
+}
+
+/**
+ * Compiled computed fields by field definitions, so nested objects are compiled once
+ */
+const planCache = new WeakMap();
+
+/**
+ * Compile the computed fields of a schema in evaluation order
+ * Computed fields may depend on other computed fields; dependencies are evaluated first
+ * and circular dependencies are rejected.
+ * @param {object} fields - Field definitions by name
+ * @returns {Array} Compiled computed fields {name, evaluate} in evaluation order
+ */
+function planComputedFields(fields) {
+  if (planCache.has(fields)) return planCache.get(fields);
+
+  const compiled = {};
+
+  Object.entries(fields).forEach(([name, fieldDef]) => {
+    if (!isComputedField(fieldDef)) return;
+
+    if (fieldDef.unique || fieldDef.primaryKey) {
+      throw new Error(`Computed field "${name}" cannot be unique; make the fields it is computed from unique instead`);
+    }
+
+    compiled[name] = compileComputedField(fieldDef);
+    compiled[name].dependencies.forEach(dependency => {
+      if (!_.has(fields, dependency)) {
+        throw new Error(`Computed field "${name}" references unknown field "${dependency}"`);
+      }
+    });
+  });
+
+  const ordered = [];
+  const state = {};
+
+  const visit = (name, trail) => {
+    if (state[name] === 'done') return;
+    if (state[name] === 'visiting') {
+      throw new Error(`Circular dependency between computed fields: ${[...trail, name].join(' -> ')}`);
+    }
+
+    state[name] = 'visiting';
+    compiled[name].dependencies
+      .filter(dependency => _.has(compiled, dependency))
+      .forEach(dependency => visit(dependency, [...trail, name]));
+    state[name] = 'done';
+
+    ordered.push({ name, evaluate: compiled[name].evaluate });
+  };
+
+  Object.keys(compiled).forEach(name => visit(name, []));
+  planCache.set(fields, ordered);
+
+  return ordered;
+}
+
+/**
+ * Evaluate computed fields against a record
+ * @param {Array} computed - Compiled computed fields from planComputedFields
+ * @param {object} record - Record holding the generated fields (updated in place)
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {object} The record
+ */
+function applyComputedFields(computed, record, faker) {
+  computed.forEach(({ name, evaluate: evaluateField }) => {
+    record[name] = evaluateField(record, faker);
+  });
+
+  return record;
+}
+
+module.exports = {
+  FUNCTIONS,
+  RANDOM_FUNCTIONS,
+  parseExpression,
+  compileExpression,
+  compileComputedField,
+  isComputedField,
+  planComputedFields,
+  applyComputedFields
+};
@@ -0,0 +1,225 @@
+/**
+ * Factories module
+ * Named record builders with traits, overrides, sequences and associations, for unit tests
+ */
+
+const _ = require('lodash');
+const { createRecordPlan, buildRecord } = require('./recordGenerators');
+const { createContext } = require('./context');
+
+/**
+ * Defined factories by name
+ */
+const factories = new Map();
+
+/**
+ * Names of the factories whose records are being built, innermost last
+ */
+const building = [];
+
+/**
+ * Split build arguments into trait names and overrides
+ * `build('admin', 'inactive', { email })` applies both traits, then the overrides.
+ * @param {Array} args - Trait names and override objects, in any order
+ * @returns {object} {traits, overrides}
+ */
+function parseBuildArgs(args) {
+  const traits = args.filter(arg => typeof arg === 'string');
+  const overrides = Object.assign({}, ...args.filter(arg => arg && typeof arg === 'object'));
+
+  return { traits, overrides };
+}
+
+/**
+ * Normalize an association given as a factory name or as {factory, traits, overrides, field}
+ * @param {string|object} association - Association definition
+ * @param {string} fieldName - Field the associated record is stored in
+ * @returns {object} Association {factory, traits, overrides, field}
+ */
+function normalizeAssociation(association, fieldName) {
+  const { factory, traits = [], overrides = {}, field = null } = typeof association === 'string'
+    ? { factory: association }
+    : association || {};
+
+  if (typeof factory !== 'string' || !factory) {
+    throw new Error(`Association "${fieldName}" must name a factory`);
+  }
+
+  return { factory, traits: _.castArray(traits), overrides, field };
+}
+
+/**
+ * Get a defined factory
+ * @param {string} name - Factory name
+ * @returns {object} Factory
+ */
+function getFactory(name) {
+  if (!factories.has(name)) {
+    throw new Error(`Unknown factory "${name}"`);
+  }
+
+  return factories.get(name);
+}
+
+/**
+ * Define a factory that builds records of a schema
+ * Records are generated like `generateRecord` does, from the factory's own seeded context, with
+ * the attributes of traits and overrides (in that order) given rather than generated, so
+ * computed fields, personas and unique fields take them into account. Attribute values that
+ * are functions are called lazily as `fn(sequence, record)`, where `sequence` counts the
+ * records the factory has built (starting at 1) and `record` holds the attributes resolved so
+ * far. Unique fields stay unique across everything the factory builds, overrides included.
+ * Associations are built from other factories, looked up at build time, only when neither a
+ * trait nor an override provides the field; an override of `null` leaves it empty.
+ * @param {string} name - Factory name, e.g. 'user'
+ * @param {object} schema - Schema definition, such as the result of a `core/parsers` parser
+ * @param {object} options - Factory options
+ * @param {object} options.traits - Named sets of attributes, e.g. { admin: { role: 'admin' } }
+ * @param {object} options.associations - Factory name or {factory, traits, overrides, field} by field
+ * @param {number} options.seed - Seed of the factory's random engine (random if omitted)
+ * @param {string|Date} options.refDate - Reference date for relative dates
+ * @param {object} options.generators - Generators overriding field types, by type
+ * @param {object} options.context - Generation context to build from instead of a new one
+ * @returns {object} Factory {name, build, buildList, resetSequence}
+ */
+function defineFactory(name, schema, options = {}) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('Factory name must be a non-empty string');
+  }
+  if (factories.has(name)) {
+    throw new Error(`Factory "${name}" is already defined`);
+  }
+
+  const { traits = {}, associations = {} } = options;
+  const context = options.context || createContext({
+    seed: options.seed,
+    refDate: options.refDate,
+    generators: options.generators
+  });
+  const links = _.mapValues(associations, normalizeAssociation);
+  let plan = null;
+  let sequence = 0;
+
+  /**
+   * Get the attributes of a list of traits
+   * @param {Array<string>} names - Trait names
+   * @returns {object} Attributes of the traits, later traits winning
+   */
+  const traitAttributes = (names) => Object.assign({}, ...names.map(trait => {
+    if (!Object.prototype.hasOwnProperty.call(traits, trait)) {
+      throw new Error(`Unknown trait "${trait}" of factory "${name}"`);
+    }
+
+    return traits[trait];
+  }));
+
+  const factory = {
+    name,
+    schema,
+
+    /**
+     * Build a record
+     * @param {...(string|object)} args - Trait names and attribute overrides
+     * @returns {object} Built record
+     */
+    build(...args) {
+      if (building.includes(name)) {
+        throw new Error(`Factory associations form a cycle: ${[...building.slice(building.indexOf(name)), name].join(' -> ')}`);
+      }
+
+      const { traits: names, overrides } = parseBuildArgs(args);
+      const attributes = { ...traitAttributes(names), ...overrides };
+
+      // Prepared on first build, so defining factories up front costs nothing; a factory builds
+      // any number of records, so uniqueness is tracked without a planned count
+      if (!plan) plan = createRecordPlan(schema, context, { name, count: 0 });
+      sequence += 1;
+
+      const given = {};
+      Object.entries(attributes).forEach(([field, value]) => {
+        given[field] = typeof value === 'function' ? value(sequence, given) : value;
+      });
+
+      building.push(name);
+      try {
+        Object.entries(links).forEach(([field, link]) => {
+          if (field in attributes) return;
+
+          const associated = getFactory(link.factory).build(...link.traits, link.overrides);
+          given[field] = link.field ? associated[link.field] : associated;
+        });
+      } finally {
+        building.pop();
+      }
+
+      // Each build is the next record, so sequences and stable identifiers move on
+      return buildRecord(plan, context, sequence - 1, given);
+    },
+
+    /**
+     * Build several records
+     * @param {number} count - Number of records
+     * @param {...(string|object)} args - Trait names and attribute overrides, shared by every record
+     * @returns {Array<object>} Built records
+     */
+    buildList(count, ...args) {
+      return Array.from({ length: count }, () => factory.build(...args));
+    },
+
+    /**
+     * Start the factory's sequence over, so the next record is number 1 again
+     */
+    resetSequence() {
+      sequence = 0;
+    }
+  };
+
+  factories.set(name, factory);
+  return factory;
+}
+
+/**
+ * Remove a defined factory
+ * @param {string} name - Factory name
+ * @returns {boolean} True when a factory was removed
+ */
+function undefineFactory(name) {
+  return factories.delete(name);
+}
+
+/**
+ * Remove every defined factory
+ */
+function clearFactories() {
+  factories.clear();
+}
+
+/**
+ * Build a record with a defined factory
+ * @param {string} name - Factory name
+ * @param {...(string|object)} args - Trait names and attribute overrides
+ * @returns {object} Built record
+ */
+function build(name, ...args) {
+  return getFactory(name).build(...args);
+}
+
+/**
+ * Build several records with a defined factory
+ * @param {string} name - Factory name
+ * @param {number} count - Number of records
+ * @param {...(string|object)} args - Trait names and attribute overrides
+ * @returns {Array<object>} Built records
+ */
+function buildList(name, count, ...args) {
+  return getFactory(name).buildList(count, ...args);
+}
+
+module.exports = {
+  defineFactory,
+  getFactory,
+  undefineFactory,
+  clearFactories,
+  build,
+  buildList
+};
@@ -3,8 +3,17 @@
  * Functions for generating individual field values based on field types and options
  */
 
-const { faker } = require('@faker-js/faker');
 const _ = require('lodash');
+const { createContext } = require('./context');
+const { generateFromPattern } = require('./patternGenerator');
+const { generateDate } = require('./dateGenerators');
+const { sampleDistribution, sampleIndex } = require('./distributions');
+const { usePersona, useLocation, locationPhone } = require('./entities');
+const { isComputedField, planComputedFields, applyComputedFields } = require('./expressions');
+const { reserveGeneratorNames, getRegisteredGenerator, validateGeneratorOptions } = require('./registry');
+const { resolveDefinition, isDepthExceeded } = require('./definitions');
+const { normalizeEdgeCases, useEdgeCase, getEdgeCaseType, pickEdgeCase } = require('./edgeCases');
+const { sequenceValue, stableUuid, stableUlid, stableObjectId } = require('./identifiers');
 
 /**
  * Field generator functions map
@@ -12,12 +21,18 @@ const _ = require('lodash');
  */
 const fieldGenerators = {
   // Basic types
-  string: (options = {}) => {
-    const { min = 5, max = 10, format } = options;
+  string: (options = {}, context = createContext()) => {
+    const { faker } = context;
+    const { min = 5, max = 10, format, pattern } = options;
+    
+    // A pattern is the most precise description of the value, so it wins over format
+    if (pattern) {
+      return generateFromPattern(pattern, { min: options.min, max: options.max }, faker);
+    }
     
     switch (format) {
       case 'email':
-        return faker.internet.email();
+        return fieldGenerators.email(options, context);
       case 'url':
         return faker.internet.url();
       case 'uuid':
@@ -29,74 +44,132 @@ const fieldGenerators = {
       case 'datetime':
         return faker.date.past().toISOString();
       case 'name':
-        return faker.person.fullName();
+        return fieldGenerators.fullName(options, context);
       case 'firstName':
-        return faker.person.firstName();
+        return fieldGenerators.firstName(options, context);
       case 'lastName':
-        return faker.person.lastName();
+        return fieldGenerators.lastName(options, context);
       case 'sentence':
         return faker.lorem.sentence();
       case 'paragraph':
         return faker.lorem.paragraph();
+      case 'ipv4':
+        return faker.internet.ipv4();
+      case 'ipv6':
+        return faker.internet.ipv6();
+      case 'hostname':
+        return faker.internet.domainName();
+      case 'password':
+        return faker.internet.password({ length: Math.max(min, 12) });
       default:
         return faker.string.alpha({ length: { min, max } });
     }
   },
 
-  number: (options = {}) => {
-    const { min = 0, max = 1000, precision = 0 } = options;
-    return Number(faker.number.float({ min, max, precision }));
+  number: (options = {}, { faker } = createContext()) => {
+    const { min = 0, max = 1000, scale = 2, precision, distribution } = options;
+    
+    if (distribution) {
+      const value = sampleDistribution(distribution, { min: options.min, max: options.max }, faker);
+      // Snap to the precision step, trimming floating point noise from the multiplication
+      return precision > 0 && precision < 1
+        ? _.round(Math.round(value / precision) * precision, 10)
+        : _.round(value, scale);
+    }
+    
+    // A fractional precision is a step such as 0.05, otherwise round to `scale` decimal places
+    if (precision > 0 && precision < 1) {
+      return faker.number.float({ min, max, multipleOf: precision });
+    }
+    return faker.number.float({ min, max, fractionDigits: scale });
   },
 
-  integer: (options = {}) => {
-    const { min = 0, max = 1000 } = options;
+  integer: (options = {}, { faker } = createContext()) => {
+    const { min = 0, max = 1000, distribution } = options;
+    
+    if (distribution) {
+      return Math.round(sampleDistribution(distribution, { min: options.min, max: options.max }, faker));
+    }
     return faker.number.int({ min, max });
   },
 
-  boolean: () => faker.datatype.boolean(),
+  boolean: (options = {}, { faker } = createContext()) => faker.datatype.boolean(),
 
   // Complex types
-  array: (options = {}) => {
+  array: (options = {}, context = createContext()) => {
+    const { faker } = context;
     const { items = {}, minItems = 1, maxItems = 5 } = options;
-    const count = faker.number.int({ min: minItems, max: maxItems });
+    
+    // Recursive items stop at the maximum depth and branch out at most maxBranching times
+    if (isDepthExceeded(items, context)) return [];
+    
+    // Edge cases are the shortest and longest arrays allowed
+    const drawn = !items.$ref && useEdgeCase(options, context)
+      ? faker.helpers.arrayElement(_.uniq([minItems, maxItems]))
+      : faker.number.int({ min: minItems, max: maxItems });
+    const count = items.$ref && context.recursion ? Math.min(drawn, context.recursion.maxBranching) : drawn;
+    const arrayContext = withEdgeCases(options, context);
+    // `$ref` items only have a type once their definition is resolved
+    const itemType = items.$ref && count > 0 ? resolveDefinition(items, context.definitions).type : items.type;
     
     return Array.from({ length: count }).map(() => {
-      return generateFieldValue(items.type || 'string', items);
+      // Each object in an array is an entity of its own, with its own persona and location
+      const itemContext = itemType === 'object' && arrayContext.entities ? { ...arrayContext, entities: {} } : arrayContext;
+      return generateFieldValue(items.type || 'string', items, itemContext);
     });
   },
 
-  object: (options = {}) => {
-    const { properties = {} } = options;
+  object: (options = {}, context = createContext()) => {
+    const { properties = {}, group } = options;
     const result = {};
     
+    // Nested fields share the record's entities, or those of the object's group
+    const nestedContext = withEdgeCases(options, group ? { ...context, group } : context);
+    
     Object.entries(properties).forEach(([key, fieldDef]) => {
-      result[key] = generateFieldValue(fieldDef.type, fieldDef);
+      // Computed properties are evaluated once their siblings exist
+      if (isComputedField(fieldDef)) return;
+      
+      // Recursive properties are left out once recursion reaches its limit
+      if (isDepthExceeded(fieldDef, context)) return;
+      
+      const presence = decidePresence(fieldDef, {}, context.faker);
+      if (presence === 'omit') return;
+      
+      result[key] = presence === 'null' ? null : generateFieldValue(fieldDef.type, fieldDef, nestedContext);
     });
     
-    return result;
+    const computed = planComputedFields(properties);
+    if (computed.length === 0) return result;
+    
+    // Keep the properties in their declared order
+    applyComputedFields(computed, result, context.faker);
+    return _.pick(result, Object.keys(properties));
   },
 
   // Domain specific types
-  address: (options = {}) => {
+  address: (options = {}, context = createContext()) => {
+    const location = useLocation(context, options);
     return {
-      street: faker.location.streetAddress(),
-      city: faker.location.city(),
-      state: faker.location.state(),
-      country: faker.location.country(),
-      zipCode: faker.location.zipCode()
+      street: location.street,
+      city: location.city,
+      state: location.state,
+      country: location.country,
+      zipCode: location.zipCode
     };
   },
 
-  person: (options = {}) => {
+  person: (options = {}, context = createContext()) => {
+    const persona = usePersona(context, options);
     return {
-      firstName: faker.person.firstName(),
-      lastName: faker.person.lastName(),
-      email: faker.internet.email(),
-      phone: faker.phone.number()
+      firstName: persona.firstName,
+      lastName: persona.lastName,
+      email: context.faker.internet.email({ firstName: persona.firstName, lastName: persona.lastName }),
+      phone: locationPhone(useLocation(context, options), context.faker)
     };
   },
 
-  company: () => {
+  company: (options = {}, { faker } = createContext()) => {
     return {
       name: faker.company.name(),
       catchPhrase: faker.company.catchPhrase(),
@@ -104,7 +177,7 @@ const fieldGenerators = {
     };
   },
   
-  product: () => {
+  product: (options = {}, { faker } = createContext()) => {
     return {
       name: faker.commerce.productName(),
       description: faker.commerce.productDescription(),
@@ -113,7 +186,7 @@ const fieldGenerators = {
     };
   },
   
-  transaction: () => {
+  transaction: (options = {}, { faker } = createContext()) => {
     return {
       id: faker.string.uuid(),
       amount: Number(faker.finance.amount()),
@@ -123,31 +196,410 @@ const fieldGenerators = {
     };
   },
   
+  // Identifiers
+  id: (options = {}, context = createContext()) => {
+    const { format = 'uuid', min = 1, max = 1000000 } = options;
+    
+    switch (format) {
+      case 'integer':
+        return context.faker.number.int({ min, max });
+      case 'sequence':
+        return sequenceValue(_.omit(options, 'format'), context);
+      case 'uuid5':
+        return stableUuid(options, context);
+      case 'ulid':
+        return stableUlid(options, context);
+      case 'objectId':
+        return stableObjectId(options, context);
+      default:
+        return context.faker.string.uuid();
+    }
+  },
+
+  // Version 5 UUIDs are derived from the seed and record index instead of drawn at random
+  uuid: (options = {}, context = createContext()) => (
+    options.version === 5 ? stableUuid(options, context) : context.faker.string.uuid()
+  ),
+
+  // Auto-increment values, e.g. 1, 2, 3 or 'ORD-000001' with format 'ORD-######'
+  sequence: (options = {}, context = createContext()) => sequenceValue(options, context),
+
+  ulid: (options = {}, context = createContext()) => stableUlid(options, context),
+
+  objectId: (options = {}, context = createContext()) => stableObjectId(options, context),
+
+  // Dates
+  date: (options = {}, context = createContext()) => generateDate(options, context, false),
+
+  datetime: (options = {}, context = createContext()) => generateDate(options, context, true),
+
+  null: () => null,
+
+  // People - fields of a record share one persona unless `group` says otherwise
+  firstName: (options = {}, context = createContext()) => usePersona(context, options).firstName,
+
+  lastName: (options = {}, context = createContext()) => usePersona(context, options).lastName,
+
+  fullName: (options = {}, context = createContext()) => {
+    const { firstName, lastName } = usePersona(context, options);
+    return `${firstName} ${lastName}`;
+  },
+
+  username: (options = {}, context = createContext()) => {
+    const persona = usePersona(context, options);
+    return context.faker.internet.userName({
+      firstName: options.firstName || persona.firstName,
+      lastName: options.lastName || persona.lastName
+    });
+  },
+
+  gender: (options = {}, context = createContext()) => {
+    // Personas have a sex ('female'/'male'); independent fields can use the full gender catalogue
+    if (options.group === false && !options.binary) return context.faker.person.gender();
+    return usePersona(context, options).sex;
+  },
+
+  age: (options = {}, context = createContext()) => {
+    const { min = 18, max = 90 } = options;
+    const persona = usePersona(context, options);
+    
+    if (persona.age === undefined) {
+      persona.age = context.faker.number.int({ min, max });
+    }
+    return persona.age;
+  },
+
+  jobTitle: (options = {}, { faker } = createContext()) => faker.person.jobTitle(),
+
+  department: (options = {}, { faker } = createContext()) => faker.person.jobArea(),
+
+  // Contact
+  email: (options = {}, context = createContext()) => {
+    const { provider } = options;
+    const persona = usePersona(context, options);
+    return context.faker.internet.email({
+      provider,
+      firstName: options.firstName || persona.firstName,
+      lastName: options.lastName || persona.lastName
+    });
+  },
+
+  phone: (options = {}, context = createContext()) => {
+    // A format such as '###-###-####' replaces each '#' with a digit
+    if (options.format) return context.faker.helpers.replaceSymbols(options.format);
+    
+    // Otherwise an international number in the country of the record's location
+    return locationPhone(useLocation(context, options), context.faker);
+  },
+
+  url: (options = {}, { faker } = createContext()) => {
+    const { protocol = 'https', appendSlash = false } = options;
+    return faker.internet.url({ protocol, appendSlash });
+  },
+
+  // Location - fields of a record share one location unless `group` says otherwise
+  street: (options = {}, context = createContext()) => useLocation(context, options).street,
+
+  city: (options = {}, context = createContext()) => useLocation(context, options).city,
+
+  state: (options = {}, context = createContext()) => {
+    const location = useLocation(context, options);
+    return options.abbreviated ? location.stateCode : location.state;
+  },
+
+  country: (options = {}, context = createContext()) => {
+    const location = useLocation(context, options);
+    
+    // Codes can be requested as 'alpha-2' or 'alpha-3'
+    if (options.code === 'alpha-3') return location.countryCode3;
+    return options.code ? location.countryCode : location.country;
+  },
+
+  zipCode: (options = {}, context = createContext()) => {
+    // An explicit format such as '#####-####' is filled independently of the location
+    return options.format ? context.faker.location.zipCode(options.format) : useLocation(context, options).zipCode;
+  },
+
+  latitude: (options = {}, context = createContext()) => useLocation(context, options).latitude,
+
+  longitude: (options = {}, context = createContext()) => useLocation(context, options).longitude,
+
+  // Text
+  word: (options = {}, { faker } = createContext()) => {
+    return options.length ? faker.lorem.word({ length: options.length }) : faker.lorem.word();
+  },
+
+  sentence: (options = {}, { faker } = createContext()) => faker.lorem.sentence(options.words),
+
+  paragraph: (options = {}, { faker } = createContext()) => faker.lorem.paragraph(options.sentences),
+
+  // Internet and media
+  ipv4: (options = {}, { faker } = createContext()) => faker.internet.ipv4(),
+
+  ipv6: (options = {}, { faker } = createContext()) => faker.internet.ipv6(),
+
+  mac: (options = {}, { faker } = createContext()) => {
+    const { separator = ':' } = options;
+    return faker.internet.mac({ separator });
+  },
+
+  color: (options = {}, { faker } = createContext()) => {
+    const { format = 'hex' } = options;
+    
+    switch (format) {
+      case 'name':
+        return faker.color.human();
+      case 'rgb':
+        return faker.color.rgb({ format: 'css' });
+      case 'hsl':
+        return faker.color.hsl({ format: 'css' });
+      default:
+        return faker.color.rgb({ format: 'hex' });
+    }
+  },
+
+  image: (options = {}, { faker } = createContext()) => {
+    const { width = 640, height = 480, category } = options;
+    return category
+      ? faker.image.urlLoremFlickr({ width, height, category })
+      : faker.image.url({ width, height });
+  },
+
+  // Files
+  filename: (options = {}, { faker } = createContext()) => {
+    return options.extension ? faker.system.commonFileName(options.extension) : faker.system.fileName();
+  },
+
+  mimeType: (options = {}, { faker } = createContext()) => faker.system.mimeType(),
+
+  fileSize: (options = {}, { faker } = createContext()) => {
+    const { min = 1, max = 10 * 1024 * 1024, unit = 'bytes' } = options;
+    const bytes = faker.number.int({ min, max });
+    
+    if (unit !== 'human') return bytes;
+    
+    // Human readable sizes such as '2.4 MB'
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const size = bytes / 1024 ** exponent;
+    return `${exponent === 0 ? size : size.toFixed(1)} ${units[exponent]}`;
+  },
+
+  // Finance and commerce
+  creditCardNumber: (options = {}, { faker } = createContext()) => {
+    return faker.finance.creditCardNumber(options.issuer);
+  },
+
+  creditCardCVV: (options = {}, { faker } = createContext()) => faker.finance.creditCardCVV(),
+
+  currency: (options = {}, { faker } = createContext()) => {
+    const { format = 'code' } = options;
+    
+    switch (format) {
+      case 'name':
+        return faker.finance.currencyName();
+      case 'symbol':
+        return faker.finance.currencySymbol();
+      default:
+        return faker.finance.currencyCode();
+    }
+  },
+
+  price: (options = {}, { faker } = createContext()) => {
+    const { min = 1, max = 1000, dec = 2, symbol } = options;
+    const price = faker.commerce.price({ min, max, dec });
+    
+    // With a symbol the price is returned as display text, otherwise as a number
+    return symbol ? `${symbol}${price}` : Number(price);
+  },
+
+  category: (options = {}, { faker } = createContext()) => faker.commerce.department(),
+
+  // Computed fields have no generator of their own
+  computed: () => {
+    throw new Error('Computed fields are evaluated from the other fields of their record');
+  },
+
   // References and enums
-  enum: (options = {}) => {
-    const { values = [] } = options;
+  enum: (options = {}, { faker } = createContext()) => {
+    const { values = [], distribution } = options;
+    
+    if (values.length === 0) {
+      throw new Error('Enum fields require a non-empty "values" list');
+    }
+    
+    // Weighted values ({ value, weight }) are picked in proportion to their weight
+    if (values.some(isWeightedValue)) {
+      if (!values.every(isWeightedValue)) {
+        throw new Error('Weighted enum values must all be { value, weight } objects');
+      }
+      return faker.helpers.weightedArrayElement(values);
+    }
+    
+    // A rank distribution makes the first values the most frequent
+    if (distribution) {
+      return values[sampleIndex(distribution, values.length, faker)];
+    }
+    
     return faker.helpers.arrayElement(values);
   },
 
-  reference: (options = {}) => {
-    // Placeholder for reference handling
-    // In a real implementation, this would reference other generated data
-    return options.defaultValue || faker.string.uuid();
+  reference: (options = {}, context = createContext()) => {
+    const { faker } = context;
+    const { ref, field, defaultValue } = parseReference(options);
+    
+    // Unbound references keep behaving like an opaque identifier
+    if (!ref) {
+      return defaultValue !== undefined ? defaultValue : faker.string.uuid();
+    }
+    
+    const pool = context.references[ref];
+    
+    if (!pool) {
+      if (defaultValue !== undefined) return defaultValue;
+      throw new Error(`Cannot resolve reference to "${ref}.${field}": no records were generated for schema "${ref}"`);
+    }
+    
+    // The target schema exists but produced no records (e.g. a self reference on the first record)
+    if (pool.length === 0) {
+      return defaultValue !== undefined ? defaultValue : null;
+    }
+    
+    return _.get(faker.helpers.arrayElement(pool), field);
   }
 };
 
+/**
+ * Check whether an enum entry is a weighted value
+ * @param {*} entry - Entry of an enum `values` list
+ * @returns {boolean} True for { value, weight } objects
+ */
+function isWeightedValue(entry) {
+  return Boolean(entry) && typeof entry === 'object' && 'value' in entry && typeof entry.weight === 'number';
+}
+
+/**
+ * List the values an enum field can take, without their weights
+ * @param {object} fieldDef - Enum field definition
+ * @returns {Array} Enum values
+ */
+function getEnumValues(fieldDef) {
+  return (fieldDef.values || []).map(entry => isWeightedValue(entry) ? entry.value : entry);
+}
+
+/**
+ * Probability that a nullable field is null when no probability is configured
+ */
+const DEFAULT_NULL_PROBABILITY = 0.1;
+
+/**
+ * Decide whether a field is omitted, set to null or given a generated value
+ *
+ * Non-required fields are omitted with `omitProbability` and set to null with
+ * `nullProbability`. Required fields are never omitted and are only null when
+ * `nullable`. Field settings take precedence over the schema-level defaults.
+ *
+ * @param {object} fieldDef - Field definition
+ * @param {object} defaults - Schema-level {omitProbability, nullProbability}
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {string} 'omit', 'null' or 'value'
+ */
+function decidePresence(fieldDef, defaults = {}, faker) {
+  const { required = false, nullable = false } = fieldDef;
+  const omitProbability = _.defaultTo(fieldDef.omitProbability, _.defaultTo(defaults.omitProbability, 0));
+  const nullProbability = _.defaultTo(
+    fieldDef.nullProbability,
+    _.defaultTo(defaults.nullProbability, nullable ? DEFAULT_NULL_PROBABILITY : 0)
+  );
+  
+  // Only draw when a probability applies, so schemas without these settings keep their seeded output
+  if (!required && omitProbability > 0 && faker.datatype.boolean({ probability: omitProbability })) {
+    return 'omit';
+  }
+  if ((nullable || !required) && nullProbability > 0 && faker.datatype.boolean({ probability: nullProbability })) {
+    return 'null';
+  }
+  
+  return 'value';
+}
+
+/**
+ * Normalize reference options into target schema and field
+ * Accepts either { ref: 'users', field: 'id' } or the shorthand { ref: 'users.id' }
+ * @param {object} options - Reference field options
+ * @returns {object} Normalized reference {ref, field, defaultValue}
+ */
+function parseReference(options = {}) {
+  const { ref, field, defaultValue } = options;
+  
+  if (typeof ref === 'string' && !field && ref.includes('.')) {
+    const [schemaName, ...path] = ref.split('.');
+    return { ref: schemaName, field: path.join('.'), defaultValue };
+  }
+  
+  return { ref, field: field || 'id', defaultValue };
+}
+
+/**
+ * Pass an object's or array's own edge case setting on to its nested fields
+ * @param {object} options - Object or array options
+ * @param {object} context - Generation context
+ * @returns {object} Context for the nested fields
+ */
+function withEdgeCases(options, context) {
+  return options.edgeCases !== undefined ? { ...context, edgeCases: normalizeEdgeCases(options.edgeCases) } : context;
+}
+
+// Registered generators add field types but never replace the built-in ones
+reserveGeneratorNames(Object.keys(fieldGenerators));
+
 /**
  * Generate a single field value based on field type and options
+ * Fields with a `$ref` are generated from the definition it names. Otherwise the run's
+ * generator overrides (`context.generators`) come first, then the built-in generators,
+ * then those added with registerGenerator.
  * @param {string} fieldType - The type of field to generate
  * @param {object} options - Options for field generation
+ * @param {object} context - Generation context shared across the run
  * @returns {*} Generated field value
  */
-function generateFieldValue(fieldType = 'string', options = {}) {
-  const generator = fieldGenerators[fieldType] || fieldGenerators.string;
-  return generator(options);
+function generateFieldValue(fieldType = 'string', options = {}, context = createContext()) {
+  // Each `$ref` expands its definition one level deeper
+  if (options.$ref) {
+    if (isDepthExceeded(options, context)) return null;
+    
+    const resolved = resolveDefinition(options, context.definitions);
+    return generateFieldValue(resolved.type, resolved, { ...context, depth: (context.depth || 0) + 1 });
+  }
+  
+  const overrides = context.generators || {};
+  const custom = Object.prototype.hasOwnProperty.call(overrides, fieldType)
+    ? overrides[fieldType]
+    : !fieldGenerators[fieldType] && getRegisteredGenerator(fieldType);
+  
+  if (custom) {
+    return custom.generate(validateGeneratorOptions(custom, options), context);
+  }
+  
+  // In edge case mode, a share of values are boundary and unusual values instead of typical ones
+  if (getEdgeCaseType(fieldType, options) && useEdgeCase(options, context)) {
+    const edgeCase = pickEdgeCase(fieldType, options, context);
+    if (edgeCase) return edgeCase.value;
+  }
+  
+  const generator = fieldGenerators[fieldType];
+  
+  if (!generator) {
+    throw new Error(`Unknown field type "${fieldType}"`);
+  }
+  
+  return generator(options, context);
 }
 
 module.exports = {
   ...fieldGenerators,
-  generateFieldValue
+  generateFieldValue,
+  decidePresence,
+  parseReference,
+  getEnumValues
 };
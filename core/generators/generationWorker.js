@@ -0,0 +1,45 @@
+/**
+ * Generation worker
+ * Runs in a worker thread and generates chunks of records on request
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { generateRecords } = require('./recordGenerators');
+const { createContext } = require('./context');
+const { loadGeneratorPlugin } = require('./registry');
+
+const {
+  schema,
+  name,
+  refDate,
+  references,
+  plugins,
+  edgeCases,
+  idSeed,
+  uniqueRetries,
+  constraintRetries,
+  strictConstraints
+} = workerData;
+
+// Custom field types registered on the main thread
+plugins.forEach(loadGeneratorPlugin);
+
+parentPort.on('message', ({ index, start, count, seed }) => {
+  try {
+    // Every chunk has its own engine, so the output does not depend on which worker runs it
+    const context = createContext({ seed, refDate, references, edgeCases, idSeed });
+    const records = generateRecords(schema, {
+      count,
+      offset: start,
+      name,
+      uniqueRetries,
+      constraintRetries,
+      strictConstraints,
+      context
+    });
+
+    parentPort.postMessage({ index, records, violations: context.violations });
+  } catch (error) {
+    parentPort.postMessage({ index, error: error.message });
+  }
+});
@@ -0,0 +1,288 @@
+/**
+ * Graphs module
+ * Node and edge datasets whose edges follow a random graph model: uniform random
+ * (Erdős–Rényi), preferential attachment (Barabási–Albert) or small-world (Watts–Strogatz)
+ */
+
+const _ = require('lodash');
+const { createContext } = require('./context');
+const { generateRecords } = require('./recordGenerators');
+const { uniform } = require('./distributions');
+
+/**
+ * Graph models
+ */
+const GRAPH_MODELS = ['random', 'preferential', 'small-world'];
+
+/**
+ * Average degree of random graphs that set neither `edges` nor `probability`
+ */
+const DEFAULT_AVERAGE_DEGREE = 4;
+
+/**
+ * Random draws for a free node before a small-world rewiring scans every node
+ */
+const REWIRE_DRAWS = 32;
+
+/**
+ * Set of the edges of a graph, which never holds self-loops or duplicate edges
+ * @param {number} size - Number of nodes
+ * @param {boolean} directed - Whether a -> b and b -> a are different edges
+ * @returns {object} Edge set {has, add, remove, list}
+ */
+function createEdgeSet(size, directed) {
+  const pairs = new Map();
+  const keyOf = (source, target) => (directed || source < target ? source * size + target : target * size + source);
+
+  return {
+    has: (source, target) => pairs.has(keyOf(source, target)),
+    add: (source, target) => {
+      if (source === target || pairs.has(keyOf(source, target))) return false;
+
+      pairs.set(keyOf(source, target), [source, target]);
+      return true;
+    },
+    remove: (source, target) => pairs.delete(keyOf(source, target)),
+    list: () => Array.from(pairs.values())
+  };
+}
+
+/**
+ * Turn the position of a node pair in the list of all possible edges into the pair
+ * Undirected pairs are listed as (1, 0), (2, 0), (2, 1), (3, 0)...; directed pairs as
+ * every ordered pair without self-loops.
+ * @param {number} position - Position of the pair
+ * @param {number} size - Number of nodes
+ * @param {boolean} directed - Whether the graph is directed
+ * @returns {Array<number>} [source, target]
+ */
+function pairAt(position, size, directed) {
+  if (directed) {
+    const source = Math.floor(position / (size - 1));
+    const offset = position % (size - 1);
+    return [source, offset >= source ? offset + 1 : offset];
+  }
+
+  let source = Math.floor((1 + Math.sqrt(1 + 8 * position)) / 2);
+  // Guard against rounding of the square root for large positions
+  while (source * (source - 1) / 2 > position) source--;
+  while ((source + 1) * source / 2 <= position) source++;
+
+  return [source, position - source * (source - 1) / 2];
+}
+
+/**
+ * Build a uniform random graph
+ * With `edges`, exactly that many distinct edges are drawn (G(n, m)); otherwise every possible
+ * edge exists with `probability` (G(n, p)), drawn by skipping ahead geometrically so sparse
+ * graphs cost time in proportion to their edges rather than to the square of their nodes.
+ * @param {number} size - Number of nodes
+ * @param {object} options - Model options {edges, probability, directed}
+ * @param {Faker} faker - Random engine of the run
+ * @returns {Array<Array<number>>} Edges as [source, target] node positions
+ */
+function randomGraph(size, options, faker) {
+  const { directed = false } = options;
+  const possible = directed ? size * (size - 1) : size * (size - 1) / 2;
+  const edges = createEdgeSet(size, directed);
+
+  if (options.edges !== undefined) {
+    const { edges: count } = options;
+
+    if (!Number.isInteger(count) || count < 0 || count > possible) {
+      throw new Error(`A random graph of ${size} nodes has between 0 and ${possible} edges, not ${count}`);
+    }
+
+    // Dense graphs are drawn as the complement of the edges they lack
+    const dense = count > possible / 2;
+    const drawn = new Set();
+    while (drawn.size < (dense ? possible - count : count)) {
+      drawn.add(faker.number.int({ min: 0, max: possible - 1 }));
+    }
+
+    for (let position = 0; position < possible && dense; position++) {
+      if (!drawn.has(position)) edges.add(...pairAt(position, size, directed));
+    }
+    if (!dense) {
+      drawn.forEach(position => edges.add(...pairAt(position, size, directed)));
+    }
+
+    return edges.list();
+  }
+
+  const { probability = Math.min(1, DEFAULT_AVERAGE_DEGREE / Math.max(1, size - 1)) } = options;
+  if (!(probability >= 0 && probability <= 1)) {
+    throw new Error(`Edge probability must be between 0 and 1, not ${probability}`);
+  }
+  if (probability === 0) return [];
+
+  for (let position = -1; ;) {
+    position += probability === 1 ? 1 : 1 + Math.floor(Math.log(uniform(faker)) / Math.log(1 - probability));
+    if (position >= possible) break;
+
+    edges.add(...pairAt(position, size, directed));
+  }
+
+  return edges.list();
+}
+
+/**
+ * Build a preferential attachment graph, whose degrees follow a power law
+ * Nodes join one at a time and link to `attach` distinct earlier nodes, each chosen with a
+ * chance in proportion to its degree. Directed edges point from the newer node.
+ * @param {number} size - Number of nodes
+ * @param {object} options - Model options {attach, directed}
+ * @param {Faker} faker - Random engine of the run
+ * @returns {Array<Array<number>>} Edges as [source, target] node positions
+ */
+function preferentialGraph(size, options, faker) {
+  const { attach = 2, directed = false } = options;
+
+  if (!Number.isInteger(attach) || attach < 1 || attach >= size) {
+    throw new Error(`Preferential attachment needs 1 <= attach < nodes, not attach ${attach} with ${size} nodes`);
+  }
+
+  const edges = createEdgeSet(size, directed);
+  // Every node appears once per edge end, so a uniform pick is degree-weighted
+  const ends = [];
+  let targets = Array.from({ length: attach }, (value, index) => index);
+
+  for (let node = attach; node < size; node++) {
+    targets.forEach(target => edges.add(node, target));
+    ends.push(...targets, ...targets.map(() => node));
+
+    const chosen = new Set();
+    while (chosen.size < attach && node + 1 < size) {
+      chosen.add(faker.helpers.arrayElement(ends));
+    }
+    targets = [...chosen];
+  }
+
+  return edges.list();
+}
+
+/**
+ * Build a small-world graph: a ring where each node links to its nearest `neighbors`, with
+ * each edge moved to a random node with chance `rewire`
+ * @param {number} size - Number of nodes
+ * @param {object} options - Model options {neighbors, rewire, directed}
+ * @param {Faker} faker - Random engine of the run
+ * @returns {Array<Array<number>>} Edges as [source, target] node positions
+ */
+function smallWorldGraph(size, options, faker) {
+  const { neighbors = 4, rewire = 0.1, directed = false } = options;
+
+  if (!Number.isInteger(neighbors) || neighbors < 2 || neighbors % 2 !== 0 || neighbors >= size) {
+    throw new Error(`Small-world graphs need an even number of neighbors below the number of nodes, not ${neighbors}`);
+  }
+  if (!(rewire >= 0 && rewire <= 1)) {
+    throw new Error(`Rewiring chance must be between 0 and 1, not ${rewire}`);
+  }
+
+  const edges = createEdgeSet(size, directed);
+  const ring = [];
+  for (let node = 0; node < size; node++) {
+    for (let step = 1; step <= neighbors / 2; step++) {
+      const target = (node + step) % size;
+      if (edges.add(node, target)) ring.push([node, target]);
+    }
+  }
+
+  ring.forEach(([node, target]) => {
+    if (rewire === 0 || !faker.datatype.boolean({ probability: rewire })) return;
+
+    // Random draws find a free node quickly; only a nearly saturated node is scanned
+    let other = null;
+    for (let attempt = 0; attempt < REWIRE_DRAWS && other === null; attempt++) {
+      const drawn = faker.number.int({ min: 0, max: size - 1 });
+      if (drawn !== node && !edges.has(node, drawn)) other = drawn;
+    }
+    if (other === null) {
+      const candidates = [];
+      for (let candidate = 0; candidate < size; candidate++) {
+        if (candidate !== node && !edges.has(node, candidate)) candidates.push(candidate);
+      }
+      // A node linked to every other node keeps its edge
+      if (candidates.length === 0) return;
+      other = faker.helpers.arrayElement(candidates);
+    }
+
+    edges.remove(node, target);
+    edges.add(node, other);
+  });
+
+  return edges.list();
+}
+
+/**
+ * Generate a graph: node records and edge records between them
+ * Node records whose schema does not generate the key field are numbered from 1. Edges never
+ * loop back to their own node or repeat; edge records start with the keys of their ends and
+ * have the fields of `edgeSchema` as attributes.
+ * @param {object} nodeSchema - Schema definition of a node
+ * @param {object} edgeSchema - Schema definition of an edge's attributes (optional)
+ * @param {object} options - Graph options
+ * @param {number} options.count - Number of nodes (10 by default)
+ * @param {string} options.model - 'random' (default), 'preferential' or 'small-world'
+ * @param {boolean} options.directed - Whether edges have a direction (false by default)
+ * @param {number} options.edges - Random model: exact number of edges
+ * @param {number} options.probability - Random model: chance of each possible edge (average degree 4 by default)
+ * @param {number} options.attach - Preferential model: edges of each joining node (2 by default)
+ * @param {number} options.neighbors - Small-world model: ring neighbors of each node, even (4 by default)
+ * @param {number} options.rewire - Small-world model: chance of moving each edge (0.1 by default)
+ * @param {string} options.key - Key field of a node ('id' by default)
+ * @param {string} options.source - Field of an edge holding its source key ('source' by default)
+ * @param {string} options.target - Field of an edge holding its target key ('target' by default)
+ * @param {string} options.name - Name of the node schema
+ * @param {number} options.seed - Seed for the run's random engine
+ * @param {string|Date} options.refDate - Reference date for relative dates
+ * @param {object} options.context - Existing generation context to continue
+ * @returns {object} Graph {nodes, edges, directed, key, source, target}
+ */
+function generateGraph(nodeSchema, edgeSchema, options = {}) {
+  const {
+    count = 10,
+    model = 'random',
+    directed = false,
+    key = 'id',
+    source = 'source',
+    target = 'target',
+    name
+  } = options;
+
+  if (!GRAPH_MODELS.includes(model)) {
+    throw new Error(`Unknown graph model "${model}"; expected one of ${GRAPH_MODELS.join(', ')}`);
+  }
+
+  const context = options.context || createContext({
+    seed: options.seed,
+    refDate: options.refDate,
+    generators: options.generators,
+    edgeCases: options.edgeCases
+  });
+
+  const nodes = generateRecords(nodeSchema, { count, name, context });
+  nodes.forEach((node, index) => {
+    if (node[key] === undefined || node[key] === null) node[key] = index + 1;
+  });
+
+  const build = { random: randomGraph, preferential: preferentialGraph, 'small-world': smallWorldGraph }[model];
+  const pairs = nodes.length < 2 ? [] : build(nodes.length, { ...options, directed }, context.faker);
+
+  const attributes = edgeSchema
+    ? generateRecords(edgeSchema, { count: pairs.length, name: name ? `${name}Edges` : undefined, context })
+    : [];
+  const edges = pairs.map(([from, to], index) => ({
+    [source]: nodes[from][key],
+    [target]: nodes[to][key],
+    ..._.omit(attributes[index], [source, target])
+  }));
+
+  // The field names travel with the graph, so exports find the keys without being told
+  return { nodes, edges, directed, key, source, target };
+}
+
+module.exports = {
+  GRAPH_MODELS,
+  generateGraph
+};
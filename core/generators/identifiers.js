@@ -0,0 +1,150 @@
+/**
+ * Identifiers module
+ * Auto-increment sequences and identifiers derived from the seed and record index, so a
+ * record keeps its ID whatever the number of records generated
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Namespace of version 5 UUIDs when a field does not set its own (the RFC 4122 URL namespace)
+ */
+const DEFAULT_UUID_NAMESPACE = '6ba7b811-9dad-11d1-80b4-00c04fd430c8';
+
+/**
+ * Crockford's base 32 alphabet used by ULIDs
+ */
+const CROCKFORD_BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Render a sequence number
+ * A `format` such as 'ORD-######' replaces its run of `#` with the zero-padded number;
+ * otherwise the number is zero-padded to `padding` digits between `prefix` and `suffix`.
+ * Without any of these options the number itself is returned.
+ * @param {number} value - Sequence number
+ * @param {object} options - Rendering options (format, prefix, suffix, padding)
+ * @returns {number|string} Sequence value
+ */
+function formatSequence(value, options = {}) {
+  const { format, prefix = '', suffix = '', padding = 0 } = options;
+
+  if (format) {
+    if (!format.includes('#')) {
+      throw new Error(`Sequence format "${format}" must contain a run of "#" for the number`);
+    }
+    return format.replace(/#+/, run => String(value).padStart(run.length, '0'));
+  }
+
+  if (!prefix && !suffix && !padding) return value;
+
+  return `${prefix}${String(value).padStart(padding, '0')}${suffix}`;
+}
+
+/**
+ * Get the sequence value of a record
+ * The value depends only on the record's index in the run, so parallel chunks and runs of
+ * any size agree on it.
+ * @param {object} options - Sequence options (start, step and the rendering options)
+ * @param {object} context - Generation context, with the record `index`
+ * @returns {number|string} Sequence value
+ */
+function sequenceValue(options, context) {
+  const { start = 1, step = 1 } = options;
+  return formatSequence(start + (context.index || 0) * step, options);
+}
+
+/**
+ * Hash the identity of a stable identifier: the run's seed, the schema, the field, the record
+ * index and how many stable identifiers the field has drawn in this record
+ * @param {object} context - Generation context
+ * @param {string} salt - Extra input (namespace) mixed into the hash
+ * @param {string} algorithm - Hash algorithm
+ * @returns {Buffer} Hash digest
+ */
+function hashIdentity(context, salt = '', algorithm = 'sha256') {
+  const { identities = {}, field = '' } = context;
+  const draw = identities[field] || 0;
+  identities[field] = draw + 1;
+
+  const seed = context.idSeed !== undefined ? context.idSeed : context.seed;
+  const name = [seed, context.schemaName || '', field, context.index || 0, draw].join(':');
+
+  return crypto.createHash(algorithm).update(salt).update(name).digest();
+}
+
+/**
+ * Generate a version 5 UUID for the current record
+ * @param {object} options - Options (namespace)
+ * @param {object} context - Generation context
+ * @returns {string} UUID
+ */
+function stableUuid(options, context) {
+  const { namespace = DEFAULT_UUID_NAMESPACE } = options;
+
+  if (!UUID_PATTERN.test(namespace)) {
+    throw new Error(`UUID namespace "${namespace}" must be a UUID`);
+  }
+
+  const bytes = hashIdentity(context, Buffer.from(namespace.replace(/-/g, ''), 'hex'), 'sha1').subarray(0, 16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x50;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Generate a ULID for the current record
+ * The time part is the run's reference date plus one millisecond per record index, so ULIDs
+ * sort in record order.
+ * @param {object} options - Options
+ * @param {object} context - Generation context
+ * @returns {string} ULID
+ */
+function stableUlid(options, context) {
+  let time = context.refDate.getTime() + (context.index || 0);
+  let timePart = '';
+  for (let i = 0; i < 10; i++) {
+    timePart = CROCKFORD_BASE32[time % 32] + timePart;
+    time = Math.floor(time / 32);
+  }
+
+  let random = BigInt(`0x${hashIdentity(context).subarray(0, 10).toString('hex')}`);
+  let randomPart = '';
+  for (let i = 0; i < 16; i++) {
+    randomPart = CROCKFORD_BASE32[Number(random & 31n)] + randomPart;
+    random >>= 5n;
+  }
+
+  return timePart + randomPart;
+}
+
+/**
+ * Generate a MongoDB ObjectId string for the current record
+ * Like real ObjectIds it has a timestamp (the run's reference date), five random bytes and
+ * a counter, which is the record index.
+ * @param {object} options - Options
+ * @param {object} context - Generation context
+ * @returns {string} 24 hex digit ObjectId
+ */
+function stableObjectId(options, context) {
+  const bytes = Buffer.alloc(12);
+  const index = context.index || 0;
+
+  bytes.writeUInt32BE(Math.floor(context.refDate.getTime() / 1000) >>> 0, 0);
+  hashIdentity(context).copy(bytes, 4, 0, 5);
+  bytes.writeUIntBE(index % 0x1000000, 9, 3);
+
+  return bytes.toString('hex');
+}
+
+module.exports = {
+  DEFAULT_UUID_NAMESPACE,
+  formatSequence,
+  sequenceValue,
+  stableUuid,
+  stableUlid,
+  stableObjectId
+};
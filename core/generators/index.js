@@ -5,9 +5,37 @@
 
 const fieldGenerators = require('./fieldGenerators');
 const recordGenerators = require('./recordGenerators');
+const parallelGenerators = require('./parallelGenerators');
+const negativeTests = require('./negativeTests');
+const factories = require('./factories');
+const scenarios = require('./scenarios');
+const trees = require('./trees');
+const graphs = require('./graphs');
+const mutations = require('./mutations');
+const { createContext } = require('./context');
+const {
+  registerGenerator,
+  unregisterGenerator,
+  listRegisteredGenerators,
+  loadGeneratorPlugin,
+  loadGeneratorPlugins
+} = require('./registry');
 
 module.exports = {
   ...fieldGenerators,
   ...recordGenerators,
+  ...parallelGenerators,
+  ...negativeTests,
+  ...factories,
+  ...scenarios,
+  ...trees,
+  ...graphs,
+  ...mutations,
+  createContext,
+  registerGenerator,
+  unregisterGenerator,
+  listRegisteredGenerators,
+  loadGeneratorPlugin,
+  loadGeneratorPlugins,
   generateData: recordGenerators.generateRecords
 };
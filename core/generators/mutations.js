@@ -0,0 +1,376 @@
+/**
+ * Mutations module
+ * Change-data-capture streams over an existing dataset: inserts, updates of a few fields,
+ * soft deletes and hard deletes, each with before and after images of the record
+ */
+
+const _ = require('lodash');
+const { createContext, deriveSeed } = require('./context');
+const { generateFieldValue, decidePresence } = require('./fieldGenerators');
+const { getSchemaFields, createRecordPlan, buildRecord } = require('./recordGenerators');
+const { isComputedField, applyComputedFields } = require('./expressions');
+const { generateUniqueValue, claimRecord } = require('./uniqueness');
+const { formatDate } = require('./dateGenerators');
+
+/**
+ * Mutation operations
+ */
+const MUTATION_OPERATIONS = ['insert', 'update', 'soft-delete', 'delete'];
+
+/**
+ * Default relative weights of the operations
+ */
+const DEFAULT_OPERATIONS = { insert: 2, update: 6, 'soft-delete': 1, delete: 1 };
+
+/**
+ * Default time between two events, in milliseconds
+ */
+const DEFAULT_INTERVAL = { min: 1000, max: 3600000 };
+
+/**
+ * Default number of fields changed by an update
+ */
+const DEFAULT_FIELDS_PER_UPDATE = { min: 1, max: 3 };
+
+/**
+ * Field types whose values identify a record and never change
+ */
+const IDENTIFIER_TYPES = ['id', 'uuid', 'uuid5', 'sequence', 'ulid', 'objectId'];
+
+/**
+ * Debezium operation codes of the mutation operations; soft deletes are updates to the database
+ */
+const DEBEZIUM_OPS = { insert: 'c', update: 'u', 'soft-delete': 'u', delete: 'd' };
+
+/**
+ * Normalize a range given as a number or as {min, max}
+ * @param {number|object} range - Range option
+ * @param {string} label - Option name, for errors
+ * @returns {object} {min, max}
+ */
+function normalizeRange(range, label) {
+  const { min, max = min } = typeof range === 'number' ? { min: range } : range;
+
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) {
+    throw new Error(`Mutation ${label} must be a non-negative integer or {min, max} with 0 <= min <= max`);
+  }
+
+  return { min, max };
+}
+
+/**
+ * List the fields an update may change
+ * Without an explicit list, updates leave alone the key, identifiers, primary key parts,
+ * references, time series timestamps, computed fields (which follow the fields they depend
+ * on), fields marked `immutable` and the bookkeeping timestamp fields.
+ * @param {object} schema - Schema definition
+ * @param {object} fields - Normalized field definitions by name
+ * @param {object} options - {fields, key, updatedAtField, softDeleteField}
+ * @returns {Array<string>} Field names
+ */
+function listMutableFields(schema, fields, options) {
+  const { key, updatedAtField, softDeleteField } = options;
+
+  if (options.fields) {
+    options.fields.forEach(fieldName => {
+      if (!fields[fieldName]) throw new Error(`Mutable field "${fieldName}" is not in the schema`);
+      if (isComputedField(fields[fieldName])) throw new Error(`Computed field "${fieldName}" cannot be updated directly`);
+    });
+    return options.fields;
+  }
+
+  const fixed = [
+    key,
+    updatedAtField,
+    softDeleteField,
+    ...(Array.isArray(schema.primaryKey) ? schema.primaryKey : []),
+    ...(schema.timeSeries ? [schema.timeSeries.timestamp] : [])
+  ];
+
+  return Object.keys(fields).filter(fieldName => {
+    const fieldDef = fields[fieldName];
+
+    return !fixed.includes(fieldName) &&
+      !fieldDef.immutable &&
+      !fieldDef.primaryKey &&
+      !IDENTIFIER_TYPES.includes(fieldDef.type) &&
+      fieldDef.type !== 'reference' &&
+      !isComputedField(fieldDef);
+  });
+}
+
+/**
+ * Lazily generate change events over an existing dataset
+ * Inserts are new records of the schema, numbered after the existing ones so sequences and
+ * stable identifiers carry on; their keys and unique fields never collide with existing
+ * records. Updates redraw a random subset of the mutable fields of a live record, recompute
+ * its computed fields and set `updatedAtField`. Soft deletes set `softDeleteField`, after
+ * which the record is only ever hard deleted. Hard deletes remove the record. The dataset
+ * itself is left unchanged.
+ * @param {object} schema - Schema definition of the records
+ * @param {Array<object>} records - Existing records
+ * @param {object} options - Same options as generateMutations
+ * @yields {object} Event {sequence, timestamp, operation, table, key, before, after, changed}
+ */
+function* iterateMutations(schema, records = [], options = {}) {
+  const fields = getSchemaFields(schema);
+  const {
+    count = 10,
+    key = 'id',
+    softDeleteField = 'deletedAt',
+    updatedAtField = fields.updatedAt ? 'updatedAt' : null,
+    sequenceStart = 1,
+    name,
+    uniqueRetries
+  } = options;
+  const operations = { ...DEFAULT_OPERATIONS, ...options.operations };
+  const interval = normalizeRange(options.interval || DEFAULT_INTERVAL, 'interval');
+  const fieldsPerUpdate = normalizeRange(options.fieldsPerUpdate || DEFAULT_FIELDS_PER_UPDATE, 'fieldsPerUpdate');
+
+  Object.entries(operations).forEach(([operation, weight]) => {
+    if (!MUTATION_OPERATIONS.includes(operation)) {
+      throw new Error(`Unknown mutation operation "${operation}"; expected one of ${MUTATION_OPERATIONS.join(', ')}`);
+    }
+    if (!(weight >= 0)) throw new Error(`Mutation operation "${operation}" must have a non-negative weight`);
+  });
+
+  // A dataset generated with the same seed would otherwise be replayed by the inserts; stable
+  // identifiers keep the dataset's seed so they carry on from it
+  const hasSeed = options.seed !== undefined && options.seed !== null;
+  const context = options.context || createContext({
+    seed: hasSeed ? deriveSeed(Number(options.seed), 'mutations') : undefined,
+    idSeed: hasSeed ? Number(options.seed) : undefined,
+    refDate: options.refDate,
+    generators: options.generators,
+    edgeCases: options.edgeCases
+  });
+
+  // New keys must not collide with existing ones, so the key is tracked like a unique field
+  const keyedFields = fields[key] ? { ...fields, [key]: { ...fields[key], unique: true } } : fields;
+  const plan = createRecordPlan({ ...schema, fields: keyedFields }, context, {
+    count: records.length + count,
+    name,
+    uniqueRetries
+  });
+  const regenerate = (fieldName) => generateFieldValue(fields[fieldName].type, fields[fieldName], context);
+
+  // Records that can still change, and soft deleted records that can only be hard deleted
+  const live = [];
+  const softDeleted = [];
+  const usedKeys = new Set();
+  records.forEach(record => {
+    if (record[key] === undefined || record[key] === null) {
+      throw new Error(`Every existing record must have a "${key}" key`);
+    }
+    if (plan.tracker) claimRecord({ ...record }, plan.fields, regenerate, plan.tracker, context);
+
+    usedKeys.add(record[key]);
+    (record[softDeleteField] !== undefined && record[softDeleteField] !== null ? softDeleted : live).push(record);
+  });
+
+  const mutable = listMutableFields(schema, fields, { ...options, key, updatedAtField, softDeleteField });
+  const stamp = (fieldName, time) => formatDate(time, fields[fieldName] || {}, true);
+
+  let inserted = 0;
+
+  // Removes a random record of a list in constant time
+  const takeFrom = (list) => {
+    const position = context.faker.number.int({ min: 0, max: list.length - 1 });
+    const record = list[position];
+    list[position] = list[list.length - 1];
+    list.pop();
+    return record;
+  };
+
+  const mutate = {
+    insert: (time) => {
+      const index = records.length + inserted++;
+      const after = buildRecord(plan, context, index);
+
+      if (after[key] === undefined || after[key] === null) after[key] = index + 1;
+      if (usedKeys.has(after[key])) {
+        throw new Error(`Inserted record would reuse the existing key "${after[key]}"`);
+      }
+      if (updatedAtField) after[updatedAtField] = stamp(updatedAtField, time);
+
+      usedKeys.add(after[key]);
+      live.push(after);
+      return { before: null, after, changed: Object.keys(after) };
+    },
+    update: (time) => {
+      const before = takeFrom(live);
+      const after = { ...before };
+      const size = context.faker.number.int({
+        min: Math.min(fieldsPerUpdate.min, mutable.length),
+        max: Math.min(fieldsPerUpdate.max, mutable.length)
+      });
+
+      // Redrawn fields are generated the way buildRecord generates them, one record at a time
+      const recordContext = {
+        ...context,
+        entities: {},
+        definitions: plan.definitions,
+        recursion: plan.recursion,
+        depth: 0,
+        schemaName: plan.name,
+        index: records.length + inserted,
+        identities: {}
+      };
+      const generate = (fieldName) => {
+        recordContext.field = fieldName;
+        return generateFieldValue(fields[fieldName].type, fields[fieldName], recordContext);
+      };
+
+      context.faker.helpers.arrayElements(mutable, size).forEach(fieldName => {
+        const state = decidePresence(fields[fieldName], plan.presence, context.faker);
+
+        if (state === 'omit') {
+          delete after[fieldName];
+        } else if (state === 'null') {
+          after[fieldName] = null;
+        } else {
+          after[fieldName] = plan.tracker && plan.tracker.fields[fieldName]
+            ? generateUniqueValue(fieldName, fields[fieldName], () => generate(fieldName), plan.tracker, context)
+            : generate(fieldName);
+        }
+      });
+      applyComputedFields(plan.computed, after, context.faker);
+      if (updatedAtField) after[updatedAtField] = stamp(updatedAtField, time);
+
+      live.push(after);
+      return {
+        before,
+        after,
+        changed: _.union(Object.keys(before), Object.keys(after)).filter(fieldName => !_.isEqual(before[fieldName], after[fieldName]))
+      };
+    },
+    'soft-delete': (time) => {
+      const before = takeFrom(live);
+      const after = { ...before, [softDeleteField]: stamp(softDeleteField, time) };
+
+      softDeleted.push(after);
+      return { before, after, changed: [softDeleteField] };
+    },
+    delete: () => {
+      // Soft deleted records are purged like live ones
+      const pool = context.faker.number.int({ min: 0, max: live.length + softDeleted.length - 1 }) < live.length
+        ? live
+        : softDeleted;
+      const before = takeFrom(pool);
+
+      return { before, after: null, changed: [] };
+    }
+  };
+
+  let time = options.start !== undefined ? new Date(options.start).getTime() : context.refDate.getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Mutation start must be a date or an ISO 8601 string, not ${JSON.stringify(options.start)}`);
+  }
+
+  for (let i = 0; i < count; i++) {
+    const possible = {
+      insert: true,
+      update: live.length > 0 && mutable.length > 0,
+      'soft-delete': live.length > 0,
+      delete: live.length + softDeleted.length > 0
+    };
+    const choices = MUTATION_OPERATIONS
+      .filter(operation => possible[operation] && operations[operation] > 0)
+      .map(operation => ({ weight: operations[operation], value: operation }));
+
+    if (choices.length === 0) {
+      throw new Error('No mutation is possible: every weighted operation needs records that do not exist');
+    }
+
+    const operation = context.faker.helpers.weightedArrayElement(choices);
+    time += context.faker.number.int(interval);
+
+    const { before, after, changed } = mutate[operation](time);
+
+    yield {
+      sequence: sequenceStart + i,
+      timestamp: new Date(time).toISOString(),
+      operation,
+      table: name || null,
+      key: (after || before)[key],
+      before,
+      after,
+      changed
+    };
+  }
+}
+
+/**
+ * Generate change events over an existing dataset
+ * @example
+ * const customers = generateRecords(customerSchema, { count: 100, name: 'customers', seed: 42 });
+ * generateMutations(customerSchema, customers, { count: 500, name: 'customers', seed: 42, envelope: 'debezium' });
+ * @param {object} schema - Schema definition of the records
+ * @param {Array<object>} records - Existing records, which are left unchanged
+ * @param {object} options - Mutation options
+ * @param {number} options.count - Number of events (10 by default)
+ * @param {object} options.operations - Relative weights by operation (insert 2, update 6, soft-delete 1, delete 1)
+ * @param {number|object} options.fieldsPerUpdate - Fields changed by an update, or {min, max} (1 to 3 by default)
+ * @param {Array<string>} options.fields - Fields updates may change (by default every field that is not a key,
+ *   identifier, reference, computed, timestamp or `immutable` field)
+ * @param {string} options.key - Key field of a record ('id' by default)
+ * @param {string} options.softDeleteField - Field set by soft deletes ('deletedAt' by default)
+ * @param {string} options.updatedAtField - Field set by inserts and updates ('updatedAt' when the schema has it)
+ * @param {string|Date} options.start - Time of the dataset, after which events happen (the reference date by default)
+ * @param {number|object} options.interval - Milliseconds between events, or {min, max} (1 second to 1 hour by default)
+ * @param {number} options.sequenceStart - Sequence number of the first event (1 by default)
+ * @param {string} options.envelope - 'plain' events (default) or 'debezium' envelopes
+ * @param {string} options.name - Name of the schema, used as the table of the events
+ * @param {number} options.seed - Seed for the run's random engine
+ * @param {string|Date} options.refDate - Reference date for relative dates
+ * @param {object} options.context - Existing generation context to continue
+ * @returns {Array<object>} Events
+ */
+function generateMutations(schema, records = [], options = {}) {
+  const { envelope = 'plain' } = options;
+
+  if (!['plain', 'debezium'].includes(envelope)) {
+    throw new Error(`Mutation envelope must be "plain" or "debezium", not "${envelope}"`);
+  }
+
+  const events = Array.from(iterateMutations(schema, records, options));
+  return envelope === 'debezium' ? events.map(event => toDebeziumEnvelope(event, options)) : events;
+}
+
+/**
+ * Wrap a change event in a Debezium-style envelope
+ * @param {object} event - Plain change event
+ * @param {object} options - Source options
+ * @param {string} options.connector - Connector of the source block ('mock-mint' by default)
+ * @param {string} options.server - Logical server name ('mock-mint' by default)
+ * @param {string} options.database - Database name
+ * @returns {object} Envelope {before, after, source, op, ts_ms, transaction}
+ */
+function toDebeziumEnvelope(event, options = {}) {
+  const { connector = 'mock-mint', server = 'mock-mint', database = null } = options;
+  const time = new Date(event.timestamp).getTime();
+
+  return {
+    before: event.before,
+    after: event.after,
+    source: {
+      connector,
+      name: server,
+      ts_ms: time,
+      snapshot: 'false',
+      db: database,
+      table: event.table,
+      sequence: String(event.sequence)
+    },
+    op: DEBEZIUM_OPS[event.operation],
+    ts_ms: time,
+    transaction: null
+  };
+}
+
+module.exports = {
+  MUTATION_OPERATIONS,
+  iterateMutations,
+  generateMutations,
+  toDebeziumEnvelope
+};
@@ -0,0 +1,305 @@
+/**
+ * Negative tests module
+ * Generates records that each break one constraint of their schema, annotated with what they break
+ */
+
+const _ = require('lodash');
+const { getEnumValues } = require('./fieldGenerators');
+const { getSchemaFields, generateRecords } = require('./recordGenerators');
+const { isComputedField } = require('./expressions');
+const { normalizePattern } = require('./patternGenerator');
+const { toTimestamp, formatDate } = require('./dateGenerators');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Field types whose min and max bound the value rather than its length
+ */
+const NUMERIC_TYPES = ['number', 'integer', 'age'];
+
+/**
+ * Values that break each format, for fields of that type or string format
+ */
+const INVALID_FORMATS = {
+  email: 'not-an-email',
+  url: 'not a url',
+  uuid: 'not-a-uuid',
+  date: '2024-13-45',
+  datetime: '2024-13-45T25:61:00Z'
+};
+
+/**
+ * Strings tried, in order, for a value that does not match a pattern
+ */
+const PATTERN_MISMATCHES = ['', '!', '0', 'a', 'invalid value', '!@#$%^&*()'];
+
+/**
+ * Format a field path such as `lines[0].sku`
+ * @param {Array} segments - Property names and array indexes
+ * @returns {string} Field path
+ */
+function formatPath(segments) {
+  return segments.reduce((path, segment) => (
+    typeof segment === 'number' ? `${path}[${segment}]` : (path ? `${path}.${segment}` : segment)
+  ), '');
+}
+
+/**
+ * Describe the JSON type of a value
+ * @param {*} value - Value
+ * @returns {string} 'array', 'null' or the typeof of the value
+ */
+function jsonType(value) {
+  if (Array.isArray(value)) return 'array';
+  return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Turn a value into one of a different JSON type
+ * Numbers and booleans become their string form, which catches APIs that coerce loosely.
+ * @param {*} value - Valid value
+ * @returns {*} Value of another type
+ */
+function wrongType(value) {
+  switch (jsonType(value)) {
+    case 'number':
+    case 'boolean':
+      return String(value);
+    case 'array':
+      return 'not-an-array';
+    case 'object':
+      return 'not-an-object';
+    default:
+      return 12345;
+  }
+}
+
+/**
+ * Find a string that does not match a pattern
+ * @param {RegExp|string} pattern - Field pattern
+ * @returns {string|undefined} Mismatching string, or undefined when every candidate matches
+ */
+function patternMismatch(pattern) {
+  const { source, flags } = normalizePattern(pattern);
+  const regex = new RegExp(`^(?:${source})$`, flags.replace(/[gy]/g, ''));
+
+  return PATTERN_MISMATCHES.find(candidate => !regex.test(candidate));
+}
+
+/**
+ * Find a value that is not one of an enum's values
+ * @param {Array} values - Allowed values
+ * @returns {*} Value outside the enum
+ */
+function enumMismatch(values) {
+  if (values.length > 0 && values.every(value => typeof value === 'number')) {
+    return Math.max(...values) + 1;
+  }
+
+  let candidate = 'not-a-valid-option';
+  while (values.includes(candidate)) candidate = `${candidate}-x`;
+
+  return candidate;
+}
+
+/**
+ * Get the format a field's values must follow, if it has one that can be broken
+ * @param {object} fieldDef - Field definition
+ * @returns {string|null} Format name
+ */
+function getFormat(fieldDef) {
+  if (['date', 'datetime'].includes(fieldDef.type)) {
+    // Epoch and custom pattern formats have no fixed shape to break
+    return !fieldDef.format || ['iso', 'date', 'datetime'].includes(fieldDef.format) ? fieldDef.type : null;
+  }
+  if (INVALID_FORMATS[fieldDef.type]) return fieldDef.type;
+  if (fieldDef.type === 'string' && INVALID_FORMATS[fieldDef.format]) return fieldDef.format;
+
+  return null;
+}
+
+/**
+ * List the ways a single field can be broken
+ * @param {object} fieldDef - Field definition
+ * @param {Array} segments - Path of the field
+ * @param {boolean} isItem - Whether the field is an array item, which cannot be missing
+ * @returns {Array<object>} Violations {segments, path, constraint, expected, message, mutate}
+ */
+function fieldViolations(fieldDef, segments, isItem = false) {
+  const path = formatPath(segments);
+  const violations = [];
+  const add = (constraint, expected, message, mutate) => {
+    violations.push({ segments, path, constraint, expected, message, mutate });
+  };
+  const { type, min, max } = fieldDef;
+  const withTime = type === 'datetime';
+
+  if (!isItem && (fieldDef.required || fieldDef.primaryKey)) {
+    add('required', true, `${path} is required`, null);
+  }
+  if (!isItem && fieldDef.required && !fieldDef.nullable) {
+    add('nullable', false, `${path} must not be null`, () => null);
+  }
+
+  add('type', type, `${path} must be of type ${type}`, wrongType);
+
+  if (type === 'integer') {
+    add('type', 'integer', `${path} must be an integer`, value => (Number.isFinite(value) ? value + 0.5 : 1.5));
+  }
+
+  if (NUMERIC_TYPES.includes(type)) {
+    if (min !== undefined) add('min', min, `${path} must be at least ${min}`, () => min - 1);
+    if (max !== undefined) add('max', max, `${path} must be at most ${max}`, () => max + 1);
+  } else if (type === 'date' || type === 'datetime') {
+    if (min !== undefined) {
+      add('min', min, `${path} must not be before ${min}`, () => formatDate(toTimestamp(min) - MS_PER_DAY, fieldDef, withTime));
+    }
+    if (max !== undefined) {
+      add('max', max, `${path} must not be after ${max}`, () => formatDate(toTimestamp(max) + MS_PER_DAY, fieldDef, withTime));
+    }
+  } else if (type === 'string') {
+    if (min > 0) add('min', min, `${path} must be at least ${min} characters long`, () => 'x'.repeat(min - 1));
+    if (max !== undefined) add('max', max, `${path} must be at most ${max} characters long`, () => 'x'.repeat(max + 1));
+  }
+
+  if (type === 'array') {
+    const { minItems, maxItems } = fieldDef;
+
+    if (minItems > 0) {
+      add('minItems', minItems, `${path} must have at least ${minItems} items`, items => items.slice(0, minItems - 1));
+    }
+    if (maxItems !== undefined) {
+      add('maxItems', maxItems, `${path} must have at most ${maxItems} items`, items =>
+        [...items, ...Array.from({ length: maxItems + 1 - items.length }, () => _.cloneDeep(items[0]))]);
+    }
+  }
+
+  if (fieldDef.pattern) {
+    const mismatch = patternMismatch(fieldDef.pattern);
+    if (mismatch !== undefined) {
+      add('pattern', String(fieldDef.pattern), `${path} must match ${fieldDef.pattern}`, () => mismatch);
+    }
+  }
+
+  if (fieldDef.values) {
+    const values = getEnumValues(fieldDef);
+    add('enum', values, `${path} must be one of ${values.join(', ')}`, () => enumMismatch(values));
+  }
+
+  const format = getFormat(fieldDef);
+  if (format) {
+    add('format', format, `${path} must be a valid ${format}`, () => INVALID_FORMATS[format]);
+  }
+
+  return violations;
+}
+
+/**
+ * Plan every constraint violation a schema's records can be given
+ * Computed fields and `$ref` fields are skipped; nested objects and the first item of
+ * arrays are included.
+ * @param {object} schema - Schema definition
+ * @returns {Array<object>} Violations {path, constraint, expected, message}, with how to apply them
+ */
+function planViolations(schema) {
+  const collect = (fields, prefix) => _.flatMap(Object.entries(fields), ([name, fieldDef]) => {
+    if (!fieldDef || typeof fieldDef !== 'object' || isComputedField(fieldDef) || fieldDef.$ref) return [];
+
+    const segments = [...prefix, name];
+    const nested = [];
+
+    if (fieldDef.properties) nested.push(...collect(fieldDef.properties, segments));
+    if (fieldDef.type === 'array' && fieldDef.items && !fieldDef.items.$ref) {
+      nested.push(...(fieldDef.items.properties
+        ? collect(fieldDef.items.properties, [...segments, 0])
+        : fieldViolations({ type: 'string', ...fieldDef.items }, [...segments, 0], true)));
+    }
+
+    return [...fieldViolations(fieldDef, segments), ...nested];
+  });
+
+  return collect(getSchemaFields(schema), []);
+}
+
+/**
+ * Draw a field with allowed `values` from those values, whatever its type
+ * String fields parsed from JSON Schema or mongoose enums keep their type and would
+ * otherwise get random text that already breaks the enum.
+ * @param {object} fieldDef - Field definition
+ * @returns {object} Field definition
+ */
+function fromAllowedValues(fieldDef) {
+  return fieldDef.values && fieldDef.type !== 'enum' ? { ...fieldDef, type: 'enum' } : fieldDef;
+}
+
+/**
+ * Make every field of a schema present and valid, so each violation has a value to break
+ * and is the only one in its record
+ * @param {object} fields - Field definitions by name
+ * @returns {object} Field definitions that are never omitted, null or empty
+ */
+function completeFields(fields) {
+  return _.mapValues(fields, fieldDef => {
+    if (!fieldDef || typeof fieldDef !== 'object' || isComputedField(fieldDef)) return fieldDef;
+
+    const complete = { ...fromAllowedValues(fieldDef), omitProbability: 0, nullProbability: 0 };
+
+    if (fieldDef.properties) complete.properties = completeFields(fieldDef.properties);
+    if (fieldDef.type === 'array') {
+      complete.minItems = Math.max(1, _.defaultTo(fieldDef.minItems, 1));
+      if (fieldDef.items && fieldDef.items.properties) {
+        complete.items = { ...fieldDef.items, properties: completeFields(fieldDef.items.properties) };
+      } else if (fieldDef.items) {
+        complete.items = fromAllowedValues(fieldDef.items);
+      }
+    }
+
+    return complete;
+  });
+}
+
+/**
+ * Generate records that each break exactly one constraint of a schema
+ * Each record starts out valid, with every field present, and then one field is removed
+ * or replaced according to a violation. Violations are used in turn, so by default every
+ * violation appears once, which makes a table of invalid requests for an API.
+ * @param {object} schema - Schema definition
+ * @param {object} options - Same options as generateRecords
+ * @param {number} options.count - Number of records (defaults to one per violation)
+ * @returns {Array<object>} Entries {record, violation: {path, constraint, expected, message}}
+ */
+function generateInvalidRecords(schema, options = {}) {
+  const violations = planViolations(schema);
+  if (violations.length === 0) return [];
+
+  const { count = violations.length } = options;
+  const fields = getSchemaFields(schema);
+  const completeSchema = { ..._.omit(schema, ['properties']), fields: completeFields(fields), omitProbability: 0, nullProbability: 0 };
+  const records = generateRecords(completeSchema, { ...options, count });
+
+  return records.map((record, index) => {
+    const { segments, mutate, ...violation } = violations[index % violations.length];
+
+    if (mutate) {
+      _.set(record, segments, mutate(_.get(record, segments)));
+    } else {
+      _.unset(record, segments);
+    }
+
+    return { record, violation };
+  });
+}
+
+/**
+ * List every constraint violation a schema's records can be given
+ * @param {object} schema - Schema definition
+ * @returns {Array<object>} Violations {path, constraint, expected, message}
+ */
+function listViolations(schema) {
+  return planViolations(schema).map(({ segments, mutate, ...violation }) => violation);
+}
+
+module.exports = {
+  listViolations,
+  generateInvalidRecords
+};
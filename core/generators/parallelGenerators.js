@@ -0,0 +1,273 @@
+/**
+ * Parallel generators module
+ * Splits large generation runs into chunks generated across worker threads
+ */
+
+const os = require('os');
+const _ = require('lodash');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { createContext, deriveSeed } = require('./context');
+const { generateFieldValue } = require('./fieldGenerators');
+const { createRecordPlan, collectReferences } = require('./recordGenerators');
+const { claimRecord } = require('./uniqueness');
+const { getRegisteredGenerator, listGeneratorPlugins } = require('./registry');
+
+/**
+ * Default number of records generated per chunk
+ * The chunk size (not the number of workers) decides how a seeded run is split,
+ * so it must stay the same for a run to be reproduced.
+ */
+const DEFAULT_CHUNK_SIZE = 10000;
+
+/**
+ * Number of chunks requested ahead per worker, bounding memory while keeping workers busy
+ */
+const CHUNKS_AHEAD = 2;
+
+const WORKER_PATH = path.join(__dirname, 'generationWorker.js');
+
+/**
+ * Number of workers used when none is requested
+ * @returns {number} Available CPU cores
+ */
+function defaultWorkerCount() {
+  return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * Find the field types of a schema registered without a plugin module, which workers cannot load
+ * @param {object} fields - Field definitions by name
+ * @returns {Array<string>} Field types
+ */
+function findInlineGenerators(fields) {
+  return _.uniq(_.flatMap(Object.values(fields), fieldDef => {
+    if (!fieldDef || typeof fieldDef !== 'object') return [];
+
+    const generator = getRegisteredGenerator(fieldDef.type);
+    return [
+      ...(generator && !generator.module ? [fieldDef.type] : []),
+      ...(fieldDef.properties ? findInlineGenerators(fieldDef.properties) : []),
+      ...(fieldDef.items ? findInlineGenerators({ items: fieldDef.items }) : [])
+    ];
+  }));
+}
+
+/**
+ * Generate records in chunks across worker threads, yielding chunks in order
+ * Chunk `i` is always generated from the sub-seed `deriveSeed(seed, 'chunk', i)`, so a
+ * seeded run gives the same records whatever the number of workers. Unique fields and
+ * keys are enforced across chunks on the main thread, and references resolve against
+ * the pools in `options.references` (self references resolve within each chunk).
+ * Registered generators are available to the workers only when loaded from plugin modules.
+ * @param {object} schema - Schema definition with fields and types
+ * @param {object} options - Same options as generateRecords, plus:
+ * @param {number} options.workers - Number of worker threads (defaults to the CPU count)
+ * @param {number} options.chunkSize - Records generated per chunk
+ * @yields {Array} Generated records of each chunk
+ */
+async function* generateChunks(schema, options = {}) {
+  const { count = 10, chunkSize = DEFAULT_CHUNK_SIZE, name, uniqueRetries, constraintRetries, strictConstraints } = options;
+  const context = options.context || createContext({
+    seed: options.seed,
+    refDate: options.refDate,
+    references: options.references,
+    edgeCases: options.edgeCases
+  });
+
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new Error('Chunk size must be a positive integer');
+  }
+
+  // Functions cannot be sent to worker threads; generators must come from plugin modules
+  if (Object.keys({ ...options.generators, ...context.generators }).length > 0) {
+    throw new Error('Generator overrides cannot be used with worker threads; register them from a plugin module instead');
+  }
+
+  // Fails fast on impossible uniqueness and tracks unique values across all chunks
+  const plan = createRecordPlan(schema, context, { count, name, uniqueRetries, constraintRetries, strictConstraints });
+  const inline = findInlineGenerators(plan.fields);
+  if (inline.length > 0) {
+    throw new Error(`Field types ${inline.map(type => `"${type}"`).join(', ')} must be loaded from a plugin module to be used with worker threads`);
+  }
+
+  const chunks = Math.ceil(count / chunkSize);
+  if (chunks === 0) return;
+
+  const workerCount = Math.max(1, Math.min(options.workers || defaultWorkerCount(), chunks));
+
+  const fieldContext = { ...context, definitions: plan.definitions, recursion: plan.recursion };
+  const regenerate = (fieldName) => generateFieldValue(plan.fields[fieldName].type, plan.fields[fieldName], fieldContext);
+
+  // Only the pools the schema actually references are copied to the workers
+  const referenced = collectReferences(schema);
+  const references = Object.fromEntries(
+    referenced
+      .filter(ref => ref !== name && context.references[ref])
+      .map(ref => [ref, context.references[ref]])
+  );
+
+  // Self references regenerated on the main thread need the records merged so far
+  const selfReferenced = Boolean(name) && referenced.includes(name);
+  if (selfReferenced) context.references[name] = [];
+
+  const workers = Array.from({ length: workerCount }, () => new Worker(WORKER_PATH, {
+    workerData: {
+      schema,
+      name,
+      refDate: context.refDate.toISOString(),
+      references,
+      // Workers load the same plugins, so registered field types work there too
+      plugins: listGeneratorPlugins(),
+      edgeCases: context.edgeCases,
+      // Stable identifiers derive from the run's seed, not the chunk's
+      idSeed: context.idSeed,
+      uniqueRetries,
+      constraintRetries,
+      strictConstraints
+    }
+  }));
+
+  const pending = new Map();
+  const failAll = (error) => {
+    pending.forEach(request => request.reject(error));
+  };
+
+  workers.forEach(worker => {
+    worker.on('message', ({ index, records, violations, error }) => {
+      const request = pending.get(index);
+      if (!request) return;
+
+      if (error) return request.reject(new Error(error));
+
+      // Unmet constraints of every chunk are reported on the run's context
+      Object.entries(violations).forEach(([label, total]) => {
+        context.violations[label] = (context.violations[label] || 0) + total;
+      });
+      request.resolve(records);
+    });
+    worker.on('error', failAll);
+    worker.on('exit', code => {
+      if (code !== 0) failAll(new Error(`Generation worker stopped with exit code ${code}`));
+    });
+  });
+
+  const request = (index) => {
+    const start = index * chunkSize;
+    const entry = {};
+
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    // Failures are surfaced when the chunk is awaited
+    entry.promise.catch(() => {});
+    pending.set(index, entry);
+
+    workers[index % workerCount].postMessage({
+      index,
+      start,
+      count: Math.min(chunkSize, count - start),
+      seed: deriveSeed(context.seed, 'chunk', index)
+    });
+  };
+
+  let requested = 0;
+  const fill = (limit) => {
+    while (requested < chunks && requested < limit) {
+      request(requested++);
+    }
+  };
+
+  try {
+    fill(workerCount * CHUNKS_AHEAD);
+
+    for (let index = 0; index < chunks; index++) {
+      const records = await pending.get(index).promise;
+      pending.delete(index);
+      fill(index + 1 + workerCount * CHUNKS_AHEAD);
+
+      records.forEach(record => {
+        if (plan.tracker) claimRecord(record, plan.fields, regenerate, plan.tracker, context);
+        if (selfReferenced) context.references[name].push(record);
+      });
+
+      yield records;
+    }
+  } finally {
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+/**
+ * Summarize the throughput of a generation run
+ * @param {number} count - Number of records generated
+ * @param {number} startTime - Start of the run in milliseconds
+ * @param {object} details - Run details (workers, chunks, chunkSize)
+ * @returns {object} Throughput statistics
+ */
+function summarizeRun(count, startTime, details = {}) {
+  const durationMs = Date.now() - startTime;
+
+  return {
+    ...details,
+    count,
+    durationMs,
+    recordsPerSecond: durationMs > 0 ? Math.round(count / (durationMs / 1000)) : count * 1000
+  };
+}
+
+/**
+ * Generate records across worker threads
+ * @param {object} schema - Schema definition with fields and types
+ * @param {object} options - Same options as generateChunks
+ * @returns {Promise<object>} Generated records, the run's seed, throughput statistics and unmet constraints
+ */
+async function generateRecordsParallel(schema, options = {}) {
+  const { count = 10, chunkSize = DEFAULT_CHUNK_SIZE, name } = options;
+  const context = options.context || createContext({
+    seed: options.seed,
+    refDate: options.refDate,
+    references: options.references,
+    edgeCases: options.edgeCases
+  });
+  const startTime = Date.now();
+  const chunks = Math.ceil(count / chunkSize);
+  const workers = Math.max(1, Math.min(options.workers || defaultWorkerCount(), chunks));
+
+  const records = [];
+  for await (const chunk of generateChunks(schema, { ...options, context })) {
+    chunk.forEach(record => records.push(record));
+  }
+
+  // Register the records so schemas generated later can reference them
+  if (name) context.references[name] = records;
+
+  return {
+    records,
+    seed: context.seed,
+    stats: summarizeRun(records.length, startTime, { workers, chunks, chunkSize }),
+    violations: context.violations
+  };
+}
+
+/**
+ * Generate records across worker threads as an async iterator
+ * Only a few chunks per worker are held in memory at a time.
+ * @param {object} schema - Schema definition with fields and types
+ * @param {object} options - Same options as generateChunks
+ * @yields {object} Generated record
+ */
+async function* streamRecordsParallel(schema, options = {}) {
+  for await (const chunk of generateChunks(schema, options)) {
+    yield* chunk;
+  }
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  generateChunks,
+  generateRecordsParallel,
+  streamRecordsParallel,
+  summarizeRun
+};
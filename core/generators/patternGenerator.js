@@ -0,0 +1,404 @@
+/**
+ * Pattern generator module
+ * Generates strings that match a regular expression pattern
+ */
+
+/**
+ * Printable ASCII range used for wildcards and negated character classes
+ */
+const PRINTABLE = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i));
+
+/**
+ * Character sets for the shorthand escapes
+ */
+const DIGITS = '0123456789'.split('');
+const WORD = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_'.split('');
+const WHITESPACE = [' ', '\t'];
+
+/**
+ * Upper bound added to the minimum of unbounded quantifiers (*, +, {n,})
+ */
+const DEFAULT_REPEAT_SPREAD = 8;
+
+/**
+ * Number of attempts made to satisfy length constraints before giving up
+ */
+const MAX_ATTEMPTS = 100;
+
+/**
+ * Split a pattern into regex source and flags
+ * Accepts RegExp objects, "/source/flags" strings (as produced by Mongoose) and plain sources
+ * @param {RegExp|string} pattern - Pattern to normalize
+ * @returns {object} Normalized pattern {source, flags}
+ */
+function normalizePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return { source: pattern.source, flags: pattern.flags };
+  }
+
+  const literalMatch = String(pattern).match(/^\/([\s\S]+)\/([a-z]*)$/);
+  if (literalMatch) {
+    return { source: literalMatch[1], flags: literalMatch[2] };
+  }
+
+  return { source: String(pattern), flags: '' };
+}
+
+/**
+ * Recursive descent parser turning a regex source into a small syntax tree
+ * Supports literals, escapes, character classes, quantifiers, groups,
+ * alternation and numbered or named backreferences. Anchors and lookarounds are ignored.
+ */
+class PatternParser {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+    this.groupCount = 0;
+    // Indexes of named groups, and the named backreferences resolved once all groups are known
+    this.groupNames = {};
+    this.namedReferences = [];
+  }
+
+  parse() {
+    const node = this.parseAlternation();
+
+    if (this.pos < this.source.length) {
+      throw new Error(`Unexpected "${this.source[this.pos]}" at position ${this.pos}`);
+    }
+
+    this.namedReferences.forEach(reference => {
+      if (!this.groupNames[reference.name]) {
+        throw new Error(`Backreference to unknown group "${reference.name}"`);
+      }
+      reference.index = this.groupNames[reference.name];
+    });
+
+    return node;
+  }
+
+  peek() {
+    return this.source[this.pos];
+  }
+
+  next() {
+    return this.source[this.pos++];
+  }
+
+  parseAlternation() {
+    const options = [this.parseSequence()];
+
+    while (this.peek() === '|') {
+      this.next();
+      options.push(this.parseSequence());
+    }
+
+    return options.length === 1 ? options[0] : { type: 'alternation', options };
+  }
+
+  parseSequence() {
+    const items = [];
+
+    while (this.pos < this.source.length && this.peek() !== '|' && this.peek() !== ')') {
+      const atom = this.parseAtom();
+      if (atom) items.push(this.parseQuantifier(atom));
+    }
+
+    return { type: 'sequence', items };
+  }
+
+  parseAtom() {
+    const char = this.next();
+
+    switch (char) {
+      case '^':
+      case '$':
+        return null;
+      case '.':
+        return { type: 'set', chars: PRINTABLE };
+      case '[':
+        return this.parseClass();
+      case '(':
+        return this.parseGroup();
+      case '\\':
+        return this.parseEscape(false);
+      default:
+        return { type: 'literal', value: char };
+    }
+  }
+
+  parseGroup() {
+    let capturing = true;
+    let lookaround = false;
+    let name = null;
+
+    if (this.peek() === '?') {
+      this.next();
+      const kind = this.next();
+
+      if (kind === ':') {
+        capturing = false;
+      } else if (kind === '=' || kind === '!') {
+        lookaround = true;
+      } else if (kind === '<' && (this.peek() === '=' || this.peek() === '!')) {
+        this.next();
+        lookaround = true;
+      } else if (kind === '<') {
+        name = this.readGroupName();
+      } else {
+        throw new Error(`Unsupported group syntax "(?${kind}" at position ${this.pos - 2}`);
+      }
+    }
+
+    const index = capturing && !lookaround ? ++this.groupCount : null;
+    if (name) this.groupNames[name] = index;
+    const body = this.parseAlternation();
+
+    if (this.next() !== ')') {
+      throw new Error('Unterminated group');
+    }
+
+    // Lookarounds constrain matching but contribute no characters
+    if (lookaround) return null;
+
+    return { type: 'group', index, body };
+  }
+
+  parseClass() {
+    let negated = false;
+    const chars = new Set();
+
+    if (this.peek() === '^') {
+      this.next();
+      negated = true;
+    }
+
+    let first = true;
+    while (this.pos < this.source.length && (this.peek() !== ']' || first)) {
+      first = false;
+      let start = this.readClassChar();
+
+      if (this.peek() === '-' && this.source[this.pos + 1] && this.source[this.pos + 1] !== ']') {
+        this.next();
+        const end = this.readClassChar();
+
+        if (typeof start !== 'string' || typeof end !== 'string') {
+          throw new Error('Invalid range in character class');
+        }
+
+        for (let code = start.charCodeAt(0); code <= end.charCodeAt(0); code++) {
+          chars.add(String.fromCharCode(code));
+        }
+      } else if (Array.isArray(start)) {
+        start.forEach(c => chars.add(c));
+      } else {
+        chars.add(start);
+      }
+    }
+
+    if (this.next() !== ']') {
+      throw new Error('Unterminated character class');
+    }
+
+    const members = negated
+      ? PRINTABLE.filter(c => !chars.has(c))
+      : Array.from(chars);
+
+    if (members.length === 0) {
+      throw new Error('Character class matches no characters');
+    }
+
+    return { type: 'set', chars: members };
+  }
+
+  readClassChar() {
+    const char = this.next();
+    if (char !== '\\') return char;
+
+    const escaped = this.parseEscape(true);
+    return escaped.type === 'set' ? escaped.chars : escaped.value;
+  }
+
+  parseEscape(inClass) {
+    const char = this.next();
+
+    switch (char) {
+      case 'd':
+        return { type: 'set', chars: DIGITS };
+      case 'D':
+        return { type: 'set', chars: PRINTABLE.filter(c => !DIGITS.includes(c)) };
+      case 'w':
+        return { type: 'set', chars: WORD };
+      case 'W':
+        return { type: 'set', chars: PRINTABLE.filter(c => !WORD.includes(c)) };
+      case 's':
+        return { type: 'set', chars: WHITESPACE };
+      case 'S':
+        return { type: 'set', chars: PRINTABLE.filter(c => !WHITESPACE.includes(c)) };
+      case 't':
+        return { type: 'literal', value: '\t' };
+      case 'n':
+        return { type: 'literal', value: '\n' };
+      case 'r':
+        return { type: 'literal', value: '\r' };
+      case 'x':
+        return { type: 'literal', value: this.readHex(2) };
+      case 'u':
+        return { type: 'literal', value: this.readHex(4) };
+      case 'b':
+      case 'B':
+        // Word boundary outside a class, backspace inside one
+        return inClass ? { type: 'literal', value: '\b' } : null;
+      default:
+        if (!inClass && /[1-9]/.test(char)) {
+          return { type: 'backreference', index: Number(char) };
+        }
+        if (!inClass && char === 'k' && this.peek() === '<') {
+          this.next();
+          const reference = { type: 'backreference', name: this.readGroupName() };
+          this.namedReferences.push(reference);
+          return reference;
+        }
+        return { type: 'literal', value: char };
+    }
+  }
+
+  readGroupName() {
+    const end = this.source.indexOf('>', this.pos);
+    if (end === -1) {
+      throw new Error(`Unterminated group name at position ${this.pos}`);
+    }
+
+    const name = this.source.slice(this.pos, end);
+    this.pos = end + 1;
+    return name;
+  }
+
+  readHex(length) {
+    const hex = this.source.substr(this.pos, length);
+    this.pos += length;
+    return String.fromCharCode(parseInt(hex, 16));
+  }
+
+  parseQuantifier(atom) {
+    let min;
+    let max;
+    const char = this.peek();
+
+    if (char === '*') {
+      min = 0;
+      max = Infinity;
+    } else if (char === '+') {
+      min = 1;
+      max = Infinity;
+    } else if (char === '?') {
+      min = 0;
+      max = 1;
+    } else if (char === '{') {
+      const match = this.source.slice(this.pos).match(/^\{(\d+)(,(\d*))?\}/);
+      if (!match) return atom;
+
+      min = Number(match[1]);
+      max = match[2] ? (match[3] ? Number(match[3]) : Infinity) : min;
+      this.pos += match[0].length - 1;
+    } else {
+      return atom;
+    }
+
+    this.next();
+
+    // Lazy modifier does not change the set of matching strings
+    if (this.peek() === '?') this.next();
+
+    return { type: 'repeat', node: atom, min, max };
+  }
+}
+
+/**
+ * Parse a regex source into a syntax tree
+ * @param {string} source - Regex source
+ * @returns {object} Syntax tree
+ */
+function parsePattern(source) {
+  return new PatternParser(source).parse();
+}
+
+/**
+ * Generate text for a syntax tree node
+ * @param {object} node - Syntax tree node
+ * @param {object} state - Generation state {faker, groups, spread}
+ * @returns {string} Generated text
+ */
+function generateNode(node, state) {
+  const { faker } = state;
+
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'set':
+      return faker.helpers.arrayElement(node.chars);
+    case 'sequence':
+      return node.items.map(item => generateNode(item, state)).join('');
+    case 'alternation':
+      return generateNode(faker.helpers.arrayElement(node.options), state);
+    case 'group': {
+      const text = generateNode(node.body, state);
+      if (node.index) state.groups[node.index] = text;
+      return text;
+    }
+    case 'backreference':
+      return state.groups[node.index] || '';
+    case 'repeat': {
+      const max = node.max === Infinity ? node.min + state.spread : node.max;
+      const count = faker.number.int({ min: node.min, max });
+      let text = '';
+      for (let i = 0; i < count; i++) {
+        text += generateNode(node.node, state);
+      }
+      return text;
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * Generate a string matching a regex pattern
+ * @param {RegExp|string} pattern - Regex pattern, source or "/source/flags" string
+ * @param {object} options - Generation options
+ * @param {number} options.min - Minimum string length
+ * @param {number} options.max - Maximum string length
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {string} Generated string
+ */
+function generateFromPattern(pattern, options = {}, faker) {
+  const { min = 0, max = Infinity } = options;
+  const { source, flags } = normalizePattern(pattern);
+
+  let tree;
+  let regex;
+  try {
+    tree = parsePattern(source);
+    regex = new RegExp(source, flags.replace(/[gy]/g, ''));
+  } catch (error) {
+    throw new Error(`Invalid pattern /${source}/: ${error.message}`);
+  }
+
+  // Keep unbounded repetitions within reach of the maximum length
+  const spread = Number.isFinite(max) ? Math.max(max, 1) : Math.max(min, DEFAULT_REPEAT_SPREAD);
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const value = generateNode(tree, { faker, groups: {}, spread });
+
+    if (value.length >= min && value.length <= max && regex.test(value)) {
+      return value;
+    }
+  }
+
+  throw new Error(`Could not generate a value matching /${source}/ with length between ${min} and ${max}`);
+}
+
+module.exports = {
+  normalizePattern,
+  parsePattern,
+  generateFromPattern
+};
@@ -3,107 +3,487 @@
  * Functions for generating multiple records based on a schema
  */
 
-const { faker } = require('@faker-js/faker');
-const { generateFieldValue } = require('./fieldGenerators');
+const { generateFieldValue, decidePresence, parseReference } = require('./fieldGenerators');
+const { createContext } = require('./context');
+const { createUniqueTracker, generateUniqueValue, claimGivenValue, claimCompositeKeys } = require('./uniqueness');
+const { usePersona } = require('./entities');
+const { createTimeSeries, generateReading } = require('./timeSeries');
+const { isComputedField, planComputedFields, applyComputedFields } = require('./expressions');
+const { planConstraints, applyConstraints } = require('./constraints');
+const { collectDefinitions, normalizeRecursion, isDepthExceeded } = require('./definitions');
+const { applyRelations } = require('./relations');
+const { Readable } = require('stream');
 const _ = require('lodash');
 
 /**
- * Generate a single record based on schema
- * @param {object} schema - Schema definition with fields and types
- * @returns {object} Generated record
+ * Normalize the supported schema formats into a map of field definitions
+ * Handles the flat `fields` format, JSON Schema `properties` and plain arrays of field names.
+ * @param {object|Array} schema - Schema definition
+ * @returns {object} Field definitions by name, each with a `type`
  */
-function generateRecord(schema) {
-  const record = {};
+function getSchemaFields(schema) {
+  const fields = {};
   
   // Handle simple flat schema format
   if (schema.fields) {
     Object.entries(schema.fields).forEach(([fieldName, fieldDef]) => {
-      const fieldType = typeof fieldDef === 'string' ? fieldDef : fieldDef.type;
-      const options = typeof fieldDef === 'string' ? {} : fieldDef;
-      
-      record[fieldName] = generateFieldValue(fieldType, options);
+      fields[fieldName] = typeof fieldDef === 'string' ? { type: fieldDef } : fieldDef;
     });
   } 
   // Handle JSON Schema format
   else if (schema.properties) {
     Object.entries(schema.properties).forEach(([fieldName, fieldDef]) => {
-      const fieldType = fieldDef.type || 'string';
-      record[fieldName] = generateFieldValue(fieldType, fieldDef);
+      fields[fieldName] = { ...fieldDef, type: fieldDef.type || 'string' };
     });
   }
   // Handle simple array of field names
   else if (Array.isArray(schema)) {
     schema.forEach(fieldName => {
-      record[fieldName] = generateFieldValue('string', {});
+      fields[fieldName] = { type: 'string' };
     });
   }
   
-  return record;
+  return fields;
+}
+
+/**
+ * Prepare everything needed to build records for a schema
+ * @param {object} schema - Schema definition
+ * @param {object} context - Generation context
+ * @param {object} options - Plan options
+ * @param {number} options.count - Number of records; enables uniqueness tracking when set
+ * @param {string} options.name - Name of the schema
+ * @param {number} options.uniqueRetries - Attempts at drawing an unused unique value before failing
+ * @param {number} options.constraintRetries - Attempts at satisfying a record's constraints
+ * @param {boolean} options.strictConstraints - Fail instead of reporting unmet constraints
+ * @returns {object} Record plan
+ */
+function createRecordPlan(schema, context, options = {}) {
+  const { count, name, uniqueRetries, constraintRetries, strictConstraints } = options;
+  const fields = getSchemaFields(schema);
+  
+  return {
+    // Schema name, which keeps the stable identifiers of different schemas apart
+    name,
+    fields,
+    // Schema-level defaults for optional and nullable fields
+    presence: {
+      omitProbability: schema.omitProbability,
+      nullProbability: schema.nullProbability
+    },
+    tracker: count !== undefined
+      ? createUniqueTracker(schema, fields, count, context, { maxRetries: uniqueRetries })
+      : null,
+    // Timestamp and series fields of time series schemas
+    timeSeries: createTimeSeries(schema, fields, context),
+    // Fields derived from other fields, in evaluation order
+    computed: planComputedFields(fields),
+    // Constraints between fields, and how hard to try to meet them
+    constraints: planConstraints(schema.constraints, fields),
+    constraintOptions: { maxAttempts: constraintRetries, strict: strictConstraints },
+    // Shared definitions that `$ref` fields expand, and where recursion through them ends
+    definitions: collectDefinitions(schema, fields),
+    recursion: normalizeRecursion(schema.recursion)
+  };
+}
+
+/**
+ * Build a record from a plan
+ * Non-required fields may be omitted or null, and unique fields draw unused values.
+ * Fields given in `preset` take the given values instead, which computed fields, constraints,
+ * uniqueness and the record's persona all see; constraints never change them.
+ * @param {object} plan - Record plan
+ * @param {object} context - Generation context
+ * @param {number} index - Position of the record in the run, used by time series
+ * @param {object} preset - Values of fields that are given rather than generated
+ * @returns {object} Generated record
+ */
+function buildRecord(plan, context, index = 0, preset = {}) {
+  const { fields, presence, tracker, timeSeries, constraints } = plan;
+  const isPreset = (fieldName) => Object.prototype.hasOwnProperty.call(preset, fieldName);
+  // A computed field that is given keeps its value
+  const computed = plan.computed.filter(({ name }) => !isPreset(name));
+  const record = {};
+  
+  // Personas and locations are shared by the fields of this record only
+  const recordContext = {
+    ...context,
+    entities: {},
+    definitions: plan.definitions,
+    recursion: plan.recursion,
+    depth: 0,
+    // Sequences and stable identifiers derive from the record's position and field
+    schemaName: plan.name,
+    index,
+    identities: {}
+  };
+  const generate = (fieldName) => {
+    if (isPreset(fieldName)) return preset[fieldName];
+
+    recordContext.field = fieldName;
+    return generateFieldValue(fields[fieldName].type, fields[fieldName], recordContext);
+  };
+  const reading = timeSeries ? generateReading(timeSeries, fields, index, context) : {};
+  
+  // Given names become the record's persona, so emails and full names follow them
+  Object.keys(preset).forEach(fieldName => {
+    const fieldDef = fields[fieldName];
+    if (fieldDef && ['firstName', 'lastName'].includes(fieldDef.type) && typeof preset[fieldName] === 'string') {
+      usePersona(recordContext, fieldDef)[fieldDef.type] = preset[fieldName];
+    }
+  });
+  
+  Object.keys(fields).forEach(fieldName => {
+    if (isPreset(fieldName)) {
+      record[fieldName] = preset[fieldName];
+      if (tracker) claimGivenValue(fieldName, preset[fieldName], tracker);
+      return;
+    }
+    
+    // Computed fields are evaluated once the fields they depend on exist
+    if (isComputedField(fields[fieldName])) return;
+    
+    // Every reading has a timestamp
+    if (timeSeries && fieldName === timeSeries.timestampField) {
+      record[fieldName] = reading[fieldName];
+      return;
+    }
+    
+    const state = decidePresence(fields[fieldName], presence, context.faker);
+    
+    if (state === 'omit' || isDepthExceeded(fields[fieldName], recordContext)) return;
+    
+    // Nulls never collide with each other, like NULLs in a SQL unique index
+    if (state === 'null') {
+      record[fieldName] = null;
+      return;
+    }
+    
+    if (fieldName in reading) {
+      record[fieldName] = reading[fieldName];
+      return;
+    }
+    
+    if (!tracker || !tracker.fields[fieldName]) {
+      record[fieldName] = generate(fieldName);
+      return;
+    }
+
+    // A retry draws a new persona or location, unless an earlier field of the record shares it
+    const shared = Object.keys(recordContext.entities);
+    const draw = () => {
+      Object.keys(recordContext.entities)
+        .filter(key => !shared.includes(key))
+        .forEach(key => delete recordContext.entities[key]);
+      return generate(fieldName);
+    };
+    record[fieldName] = generateUniqueValue(fieldName, fields[fieldName], draw, tracker, context);
+  });
+  
+  if (computed.length > 0) {
+    applyComputedFields(computed, record, context.faker);
+  }
+  
+  if (constraints.length > 0) {
+    applyConstraints(constraints, record, {
+      regenerate: generate,
+      recompute: () => applyComputedFields(computed, record, context.faker)
+    }, context, plan.constraintOptions);
+  }
+  
+  if (tracker) {
+    claimCompositeKeys(record, generate, tracker);
+  }
+  
+  // Keep the fields in their declared order, then any given fields the schema does not have
+  const built = computed.length > 0 || constraints.length > 0 ? _.pick(record, Object.keys(fields)) : record;
+  return Object.assign(built, _.omit(preset, Object.keys(fields)));
+}
+
+/**
+ * Generate a single record based on schema
+ * @param {object} schema - Schema definition with fields and types
+ * @param {object} context - Generation context shared across the run
+ * @returns {object} Generated record
+ */
+function generateRecord(schema, context = createContext()) {
+  return buildRecord(createRecordPlan(schema, context), context);
+}
+
+/**
+ * Lazily generate records based on a schema, one at a time
+ * Records are not retained unless the schema references itself, so memory stays
+ * constant apart from the values remembered for unique fields.
+ * @param {object} schema - Schema definition with fields and types
+ * @param {object} options - Same options as generateRecords
+ * @yields {object} Generated record
+ */
+function* iterateRecords(schema, options = {}) {
+  const { count = 10, offset = 0, seed, refDate, name, uniqueRetries, constraintRetries, strictConstraints } = options;
+  
+  // Each run owns its random engine, so concurrent runs never share state
+  const context = options.context || createContext({
+    seed,
+    refDate,
+    references: options.references,
+    generators: options.generators,
+    edgeCases: options.edgeCases
+  });
+  const plan = createRecordPlan(schema, context, { count, name, uniqueRetries, constraintRetries, strictConstraints });
+  
+  // Self references need the records generated so far
+  const retained = name && collectReferences(schema).includes(name) ? [] : null;
+  if (retained) context.references[name] = retained;
+  
+  for (let i = 0; i < count; i++) {
+    const record = buildRecord(plan, context, offset + i);
+    if (retained) retained.push(record);
+    yield record;
+  }
 }
 
 /**
  * Generate multiple records based on a schema
+ * Fields marked `unique` or `primaryKey`, the schema's composite `primaryKey` and its
+ * `uniqueKeys` never repeat within the generated records.
  * @param {object} schema - Schema definition with fields and types
  * @param {object} options - Options for generation (count, seed, etc)
+ * @param {number} options.seed - Seed for the run's random engine; the same seed, schema and count give identical output
+ * @param {string|Date} options.refDate - Reference date for relative dates
+ * @param {string} options.name - Schema name the records are registered under for references
+ * @param {object} options.references - Previously generated records by schema name
+ * @param {object} options.context - Existing generation context to continue
+ * @param {object} options.generators - Generators overriding field types for this run, by type: a function
+ *   (options, context) => value or {generate, optionsSchema} (ignored when a context is given)
+ * @param {boolean|number} options.edgeCases - Share of values that are boundary and unusual values, e.g. 0.1
+ *   (ignored when a context is given); fields may set their own `edgeCases`
+ * @param {number} options.uniqueRetries - Attempts at drawing an unused unique value before failing
+ * @param {number} options.offset - Position of the first record in a larger run (time series continue from there)
+ * @param {number} options.constraintRetries - Attempts at satisfying a record's schema constraints
+ * @param {boolean} options.strictConstraints - Throw when a record cannot satisfy its constraints instead of
+ *   counting it in `context.violations`
  * @returns {Array} Array of generated records
  */
 function generateRecords(schema, options = {}) {
-  const { count = 10, seed } = options;
+  const { name } = options;
+  const context = options.context || createContext({
+    seed: options.seed,
+    refDate: options.refDate,
+    references: options.references,
+    generators: options.generators,
+    edgeCases: options.edgeCases
+  });
+  
+  const records = Array.from(iterateRecords(schema, { ...options, context }));
   
-  // Set seed if provided
-  if (seed) faker.seed(seed);
+  // Register the records so schemas generated later can reference them
+  if (name) context.references[name] = records;
   
-  return Array.from({ length: count }).map(() => generateRecord(schema));
+  return records;
+}
+
+/**
+ * Generate records as an async iterator
+ * Control is handed back to the event loop every `batchSize` records so long runs
+ * do not starve other work in the process.
+ * @param {object} schema - Schema definition with fields and types
+ * @param {object} options - Same options as generateRecords
+ * @param {number} options.batchSize - Records generated between event loop turns
+ * @yields {object} Generated record
+ */
+async function* streamRecords(schema, options = {}) {
+  const { batchSize = 1000 } = options;
+  let generated = 0;
+  
+  for (const record of iterateRecords(schema, options)) {
+    yield record;
+    
+    if (++generated % batchSize === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+}
+
+/**
+ * Generate records as a Node Readable stream in object mode
+ * @param {object} schema - Schema definition with fields and types
+ * @param {object} options - Same options as streamRecords
+ * @returns {Readable} Stream of generated records
+ */
+function createRecordStream(schema, options = {}) {
+  return Readable.from(streamRecords(schema, options));
+}
+
+/**
+ * Collect the names of all schemas referenced by a schema's fields
+ * @param {object} schema - Schema definition
+ * @returns {Array} Referenced schema names
+ */
+function collectReferences(schema) {
+  const referenced = new Set();
+  
+  const visit = (fieldDef) => {
+    if (!fieldDef || typeof fieldDef !== 'object') return;
+    
+    if (fieldDef.type === 'reference' && fieldDef.ref) {
+      referenced.add(parseReference(fieldDef).ref);
+    }
+    if (fieldDef.properties) {
+      Object.values(fieldDef.properties).forEach(visit);
+    }
+    if (fieldDef.items) {
+      visit(fieldDef.items);
+    }
+  };
+  
+  Object.values(getSchemaFields(schema)).forEach(visit);
+  
+  return Array.from(referenced);
+}
+
+/**
+ * Plan the order in which related schemas are generated
+ * Every schema comes after the schemas it references. References that close a cycle are
+ * deferred instead: the schema holding them is generated first, with those references left
+ * empty, and they are filled in once the referenced records exist.
+ * @param {object} schemas - Map of schema definitions by name
+ * @returns {object} {order, deferred: [{schema, ref}]}
+ */
+function planSchemaOrder(schemas) {
+  const order = [];
+  const deferred = [];
+  const state = {};
+  
+  const visit = (schemaName) => {
+    if (state[schemaName] === 'done') return;
+    
+    state[schemaName] = 'visiting';
+    
+    collectReferences(schemas[schemaName])
+      // Self references are resolved against the records generated so far
+      .filter(ref => ref !== schemaName && schemas[ref])
+      .forEach(ref => {
+        if (state[ref] === 'visiting') {
+          deferred.push({ schema: schemaName, ref });
+        } else {
+          visit(ref);
+        }
+      });
+    
+    state[schemaName] = 'done';
+    order.push(schemaName);
+  };
+  
+  Object.keys(schemas).forEach(visit);
+  
+  return { order, deferred };
+}
+
+/**
+ * Order schema names so that every schema comes after the schemas it references
+ * References that close a cycle do not count; see planSchemaOrder.
+ * @param {object} schemas - Map of schema definitions by name
+ * @returns {Array} Schema names in generation order
+ */
+function orderSchemas(schemas) {
+  return planSchemaOrder(schemas).order;
+}
+
+/**
+ * Fill in references that were deferred to break a cycle between schemas
+ * Top-level reference fields that are present in a record get a value from the referenced
+ * records; nested ones stay empty.
+ * @param {Array<object>} records - Records of the schema holding the references
+ * @param {object} schema - Schema definition
+ * @param {string} ref - Name of the referenced schema
+ * @param {object} context - Generation context
+ */
+function fillDeferredReferences(records, schema, ref, context) {
+  const pool = context.references[ref] || [];
+  const fields = _.pickBy(getSchemaFields(schema), fieldDef =>
+    fieldDef.type === 'reference' && parseReference(fieldDef).ref === ref);
+  
+  if (pool.length === 0) return;
+  
+  records.forEach(record => {
+    Object.entries(fields).forEach(([fieldName, fieldDef]) => {
+      if (fieldName in record) {
+        record[fieldName] = _.get(context.faker.helpers.arrayElement(pool), parseReference(fieldDef).field);
+      }
+    });
+  });
 }
 
 /**
  * Generate related records based on multiple schemas with relations
+ * Schemas are generated in dependency order (see planSchemaOrder), then the relations are
+ * applied (see applyRelations). A many-to-many relation whose `through` names one of the
+ * schemas generates that schema last, one record per linked pair, as its join table.
  * @param {object} schemas - Map of schema definitions by name
- * @param {Array} relations - Array of relation definitions
- * @param {object} options - Options for generation
- * @returns {object} Generated related records by schema name
+ * @param {Array} relations - Array of relation definitions {from, to, type, ...}
+ * @param {object} options - Options for generation, keyed by schema name
+ * @param {number} options.seed - Seed shared by the whole run
+ * @param {string|Date} options.refDate - Reference date shared by the whole run
+ * @param {object} options.generators - Generators overriding field types for the whole run
+ * @param {boolean|number} options.edgeCases - Share of values that are edge cases in the whole run
+ * @param {object} options.context - Existing generation context to continue
+ * @returns {object} Generated related records by schema name, and join records by join table name
  */
 function generateRelatedRecords(schemas, relations = [], options = {}) {
   const generatedData = {};
-  const references = {};
+  const context = options.context || createContext({
+    seed: options.seed,
+    refDate: options.refDate,
+    generators: options.generators,
+    edgeCases: options.edgeCases
+  });
+  const { order, deferred } = planSchemaOrder(schemas);
   
-  // First pass: generate all primary records
-  Object.entries(schemas).forEach(([schemaName, schema]) => {
+  // Join table schemas are generated once the pairs they link are known
+  const joinTables = relations
+    .filter(relation => relation.type === 'many-to-many' && relation.through && schemas[relation.through])
+    .map(relation => relation.through);
+  
+  // First pass: generate all primary records, referenced schemas first
+  order.filter(schemaName => !joinTables.includes(schemaName)).forEach(schemaName => {
     const schemaOptions = options[schemaName] || {};
-    const records = generateRecords(schema, schemaOptions);
     
-    generatedData[schemaName] = records;
+    // References closing a cycle stay empty until the referenced records exist
+    deferred
+      .filter(({ schema, ref }) => schema === schemaName && !context.references[ref])
+      .forEach(({ ref }) => {
+        context.references[ref] = [];
+      });
     
-    // Store references to IDs for relation handling
-    references[schemaName] = records.map(record => record.id || faker.string.uuid());
+    generatedData[schemaName] = generateRecords(schemas[schemaName], {
+      ...schemaOptions,
+      name: schemaName,
+      context
+    });
+  });
+  
+  deferred.forEach(({ schema, ref }) => {
+    fillDeferredReferences(generatedData[schema], schemas[schema], ref, context);
   });
   
   // Second pass: establish relationships between records
-  if (relations.length > 0) {
-    relations.forEach(relation => {
-      const { from, to, type, foreignKey } = relation;
-      
-      if (type === 'one-to-many') {
-        // For each parent record, assign multiple child records
-        generatedData[from].forEach(parentRecord => {
-          // Get random number of child records
-          const childCount = faker.number.int({ min: 1, max: 3 });
-          const childRecords = _.sampleSize(generatedData[to], childCount);
-          
-          // Assign parent reference to child records
-          childRecords.forEach(childRecord => {
-            childRecord[foreignKey || `${from}Id`] = parentRecord.id;
-          });
-        });
-      } else if (type === 'many-to-one') {
-        // For each child record, assign one parent record
-        generatedData[from].forEach(childRecord => {
-          const parentRecord = faker.helpers.arrayElement(generatedData[to]);
-          childRecord[foreignKey || `${to}Id`] = parentRecord.id;
-        });
-      }
+  const joins = applyRelations(generatedData, relations, context);
+  
+  Object.entries(joins).forEach(([through, pairs]) => {
+    if (!schemas[through]) {
+      generatedData[through] = pairs;
+      return;
+    }
+    
+    const records = generateRecords(schemas[through], {
+      ...options[through],
+      count: pairs.length,
+      name: through,
+      context
     });
-  }
+    generatedData[through] = records.map((record, index) => ({ ...pairs[index], ..._.omit(record, Object.keys(pairs[index])) }));
+    context.references[through] = generatedData[through];
+  });
   
   return generatedData;
 }
@@ -139,8 +519,17 @@ function formatRecords(records, format = 'json', options = {}) {
 }
 
 module.exports = {
+  getSchemaFields,
+  createRecordPlan,
+  buildRecord,
   generateRecord,
+  iterateRecords,
   generateRecords,
+  streamRecords,
+  createRecordStream,
   generateRelatedRecords,
+  collectReferences,
+  planSchemaOrder,
+  orderSchemas,
   formatRecords
 };
@@ -0,0 +1,209 @@
+/**
+ * Generator registry module
+ * Custom field types registered by applications and plugins alongside the built-in ones
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+
+/**
+ * Registered generators by field type
+ */
+const registry = new Map();
+
+/**
+ * Names of the built-in field types, which registered generators may not replace
+ */
+const builtInTypes = new Set();
+
+/**
+ * Options already validated by each generator, by options object, with Joi defaults applied
+ */
+const validatedOptions = new WeakMap();
+
+/**
+ * Turn a generator's options schema into a Joi schema
+ * @param {object} optionsSchema - Joi schema, or an object of Joi schemas by option name
+ * @param {string} name - Field type the schema belongs to
+ * @returns {object|null} Joi schema, or null when options are not validated
+ */
+function compileOptionsSchema(optionsSchema, name) {
+  if (optionsSchema === undefined || optionsSchema === null) return null;
+  if (Joi.isSchema(optionsSchema)) return optionsSchema;
+
+  if (typeof optionsSchema !== 'object' || Array.isArray(optionsSchema)) {
+    throw new Error(`Options schema of generator "${name}" must be a Joi schema or an object of Joi schemas`);
+  }
+
+  return Joi.object(optionsSchema);
+}
+
+/**
+ * Normalize a generator given as a function or as {generate, optionsSchema}
+ * @param {string} name - Field type
+ * @param {Function|object} generator - Generator function or definition
+ * @param {object} optionsSchema - Options schema (when the generator is a function)
+ * @returns {object} Generator {name, generate, optionsSchema}
+ */
+function createGenerator(name, generator, optionsSchema) {
+  const definition = typeof generator === 'function' ? { generate: generator, optionsSchema } : generator || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('Generator name must be a non-empty string');
+  }
+  if (typeof definition.generate !== 'function') {
+    throw new Error(`Generator "${name}" must be a function`);
+  }
+
+  return {
+    name,
+    generate: definition.generate,
+    optionsSchema: compileOptionsSchema(definition.optionsSchema, name)
+  };
+}
+
+/**
+ * Mark field types as built in, so they cannot be registered over
+ * @param {Array<string>} names - Built-in field types
+ */
+function reserveGeneratorNames(names) {
+  names.forEach(name => builtInTypes.add(name));
+}
+
+/**
+ * Register a generator for a custom field type
+ * The generator is called like the built-in ones, as `fn(options, context)`, and must draw
+ * its randomness from `context.faker` so seeded runs stay reproducible. Options are
+ * validated against `optionsSchema` (unknown options such as `unique` or `nullable` are
+ * allowed) and passed to the generator with the schema's defaults applied.
+ * @param {string} name - Field type, e.g. 'policyNumber'
+ * @param {Function} fn - Generator function (options, context) => value
+ * @param {object} optionsSchema - Joi schema, or an object of Joi schemas by option name
+ * @param {object} source - Where the generator comes from
+ * @param {string} source.module - Plugin module that registers it, loaded again by worker threads
+ * @returns {object} Registered generator
+ */
+function registerGenerator(name, fn, optionsSchema, source = {}) {
+  const generator = createGenerator(name, fn, optionsSchema);
+
+  if (builtInTypes.has(name)) {
+    throw new Error(`Cannot register generator "${name}": it is a built-in field type`);
+  }
+  if (registry.has(name)) {
+    throw new Error(`Generator "${name}" is already registered`);
+  }
+
+  generator.module = source.module || null;
+  registry.set(name, generator);
+
+  return generator;
+}
+
+/**
+ * Remove a registered generator
+ * @param {string} name - Field type
+ * @returns {boolean} True when a generator was removed
+ */
+function unregisterGenerator(name) {
+  return registry.delete(name);
+}
+
+/**
+ * Get a registered generator
+ * @param {string} name - Field type
+ * @returns {object|undefined} Registered generator
+ */
+function getRegisteredGenerator(name) {
+  return registry.get(name);
+}
+
+/**
+ * List the registered generators
+ * @returns {Array<object>} Registered generators {name, module}
+ */
+function listRegisteredGenerators() {
+  return Array.from(registry.values(), ({ name, module }) => ({ name, module }));
+}
+
+/**
+ * Validate field options against a generator's options schema
+ * Each options object is validated once; later calls reuse the result.
+ * @param {object} generator - Generator {name, generate, optionsSchema}
+ * @param {object} options - Field options
+ * @returns {object} Options with the schema's defaults applied
+ */
+function validateGeneratorOptions(generator, options) {
+  if (!generator.optionsSchema || !options || typeof options !== 'object') return options;
+  if (!validatedOptions.has(generator)) validatedOptions.set(generator, new WeakMap());
+
+  const validated = validatedOptions.get(generator);
+  if (validated.has(options)) return validated.get(options);
+
+  const { error, value } = generator.optionsSchema.validate(options, { allowUnknown: true });
+  if (error) {
+    throw new Error(`Invalid options for field type "${generator.name}": ${error.message}`);
+  }
+
+  validated.set(options, value);
+  return value;
+}
+
+/**
+ * Load a generator plugin module and register its generators
+ * A plugin exports a generator definition `{ name, generate, optionsSchema }` or an array
+ * of them. Loading the same module twice registers its generators once.
+ * @param {string} modulePath - Path of the plugin module
+ * @returns {Array<string>} Field types registered by the plugin
+ */
+function loadGeneratorPlugin(modulePath) {
+  const resolved = require.resolve(path.resolve(modulePath));
+  const loaded = listRegisteredGenerators().filter(generator => generator.module === resolved);
+  if (loaded.length > 0) return loaded.map(generator => generator.name);
+
+  const exported = require(resolved);
+  const definitions = Array.isArray(exported) ? exported : [exported];
+
+  return definitions.map(definition => {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error(`Plugin "${modulePath}" must export a generator definition or an array of them`);
+    }
+
+    return registerGenerator(definition.name, definition.generate, definition.optionsSchema, { module: resolved }).name;
+  });
+}
+
+/**
+ * Load every plugin module (.js file) of a directory, in name order
+ * @param {string} directory - Plugins directory
+ * @returns {Array<string>} Field types registered by the plugins
+ */
+function loadGeneratorPlugins(directory) {
+  if (!directory || !fs.existsSync(directory)) return [];
+
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .flatMap(file => loadGeneratorPlugin(path.join(directory, file)));
+}
+
+/**
+ * Plugin modules the registered generators come from
+ * @returns {Array<string>} Resolved module paths
+ */
+function listGeneratorPlugins() {
+  return [...new Set(listRegisteredGenerators().map(generator => generator.module).filter(Boolean))];
+}
+
+module.exports = {
+  createGenerator,
+  reserveGeneratorNames,
+  registerGenerator,
+  unregisterGenerator,
+  getRegisteredGenerator,
+  listRegisteredGenerators,
+  validateGeneratorOptions,
+  loadGeneratorPlugin,
+  loadGeneratorPlugins,
+  listGeneratorPlugins
+};
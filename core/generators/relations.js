@@ -0,0 +1,208 @@
+/**
+ * Relations module
+ * Links the records of related schemas: one-to-one, one-to-many, many-to-one and
+ * many-to-many relations, with control over how many children each parent gets
+ */
+
+const _ = require('lodash');
+
+/**
+ * Relation types
+ */
+const RELATION_TYPES = ['one-to-one', 'one-to-many', 'many-to-one', 'many-to-many'];
+
+/**
+ * Default number of linked records per record of a many-to-many relation
+ */
+const DEFAULT_MANY_TO_MANY = { min: 1, max: 3 };
+
+/**
+ * Check a relation before applying it
+ * @param {object} relation - Relation definition
+ * @param {object} datasets - Generated records by schema name
+ */
+function checkRelation(relation, datasets) {
+  const { from, to, type } = relation;
+
+  if (!RELATION_TYPES.includes(type)) {
+    throw new Error(`Unknown relation type "${type}"; expected one of ${RELATION_TYPES.join(', ')}`);
+  }
+  [from, to].forEach(name => {
+    if (!datasets[name]) throw new Error(`Relation ${from} -> ${to} references unknown schema "${name}"`);
+  });
+
+  const { min = 0, max = Infinity, empty = 0 } = relation;
+  if (!(Number.isInteger(min) && min >= 0) || !(max === Infinity || (Number.isInteger(max) && max >= min))) {
+    throw new Error(`Relation ${from} -> ${to} must have integer bounds with 0 <= min <= max`);
+  }
+  if (!(empty >= 0 && empty <= 1)) {
+    throw new Error(`Relation ${from} -> ${to} must have an empty share between 0 and 1`);
+  }
+}
+
+/**
+ * Give every child exactly one parent, each parent getting between min and max children
+ * A share of the parents (`empty`, chosen at random) gets no children at all and the bounds
+ * apply to the others. Every other parent first gets its minimum, then the remaining children
+ * go to random parents that still have room, so no child is orphaned or shared.
+ * @param {Array<object>} parents - Parent records
+ * @param {Array<object>} children - Child records
+ * @param {object} bounds - Children per parent {min, max} and share of childless parents {empty}
+ * @param {Faker} faker - Random engine of the run
+ * @returns {Array<Array<object>>} Children of each parent, by parent position
+ */
+function distributeChildren(parents, children, { min = 0, max = Infinity, empty = 0 }, faker) {
+  const emptyCount = Math.round(parents.length * empty);
+  const filled = emptyCount > 0
+    ? faker.helpers.shuffle(_.range(parents.length)).slice(emptyCount)
+    : _.range(parents.length);
+
+  if (children.length > 0 && filled.length === 0) {
+    throw new Error(`Cannot give ${children.length} children a parent: there are no parent records to give them to`);
+  }
+  if (children.length < filled.length * min || children.length > filled.length * max) {
+    throw new Error(
+      `Cannot give ${children.length} children to ${filled.length} parents with ${min} to ${max} children each`
+    );
+  }
+
+  const shuffled = faker.helpers.shuffle([...children]);
+  const assigned = parents.map(() => []);
+  filled.forEach((index, position) => {
+    assigned[index] = shuffled.slice(position * min, (position + 1) * min);
+  });
+  const open = filled.filter(index => assigned[index].length < max);
+
+  shuffled.slice(filled.length * min).forEach(child => {
+    const slot = faker.number.int({ min: 0, max: open.length - 1 });
+    const index = open[slot];
+
+    assigned[index].push(child);
+
+    // Full parents are swapped out of the open list
+    if (assigned[index].length >= max) {
+      open[slot] = open[open.length - 1];
+      open.pop();
+    }
+  });
+
+  return assigned;
+}
+
+/**
+ * Link each record of `from` to a distinct record of `to`
+ * @param {object} relation - Relation {from, to, foreignKey, key}
+ * @param {object} datasets - Generated records by schema name
+ * @param {Faker} faker - Random engine of the run
+ */
+function applyOneToOne(relation, datasets, faker) {
+  const { from, to, foreignKey = `${to}Id`, key = 'id' } = relation;
+  const sources = datasets[from];
+  const targets = datasets[to];
+
+  if (targets.length < sources.length) {
+    throw new Error(`One-to-one relation ${from} -> ${to} needs at least ${sources.length} "${to}" records, not ${targets.length}`);
+  }
+
+  const partners = faker.helpers.shuffle([...targets]);
+  sources.forEach((record, index) => {
+    record[foreignKey] = partners[index][key];
+  });
+}
+
+/**
+ * Point every child at exactly one parent
+ * @param {string} parentName - Parent schema name
+ * @param {string} childName - Child schema name
+ * @param {object} relation - Relation {foreignKey, key, min, max}
+ * @param {string} defaultForeignKey - Foreign key when the relation does not name one
+ * @param {object} datasets - Generated records by schema name
+ * @param {Faker} faker - Random engine of the run
+ */
+function applyParentChild(parentName, childName, relation, defaultForeignKey, datasets, faker) {
+  const { foreignKey = defaultForeignKey, key = 'id' } = relation;
+  const parents = datasets[parentName];
+
+  distributeChildren(parents, datasets[childName], relation, faker).forEach((children, index) => {
+    children.forEach(child => {
+      child[foreignKey] = parents[index][key];
+    });
+  });
+}
+
+/**
+ * Create the join records of a many-to-many relation
+ * Each `from` record is linked to between min and max distinct `to` records (1 to 3 by default).
+ * @param {object} relation - Relation {from, to, fromKey, toKey, key, min, max}
+ * @param {object} datasets - Generated records by schema name
+ * @param {Faker} faker - Random engine of the run
+ * @returns {Array<object>} Join records {[fromKey], [toKey]}
+ */
+function createJoinRecords(relation, datasets, faker) {
+  const { from, to, fromKey = `${from}Id`, toKey = `${to}Id`, key = 'id' } = relation;
+  const targets = datasets[to];
+  const min = _.defaultTo(relation.min, DEFAULT_MANY_TO_MANY.min);
+  const max = Math.min(_.defaultTo(relation.max, Math.max(min, DEFAULT_MANY_TO_MANY.max)), targets.length);
+
+  if (min > targets.length) {
+    throw new Error(`Many-to-many relation ${from} -> ${to} needs at least ${min} "${to}" records, not ${targets.length}`);
+  }
+
+  return datasets[from].flatMap(record => {
+    const linked = faker.helpers.arrayElements(targets, faker.number.int({ min, max }));
+    return linked.map(target => ({ [fromKey]: record[key], [toKey]: target[key] }));
+  });
+}
+
+/**
+ * Apply relations between generated datasets
+ * - one-to-one: each `from` record gets a distinct `to` record (foreign key `${to}Id`)
+ * - one-to-many: each `to` record (child) gets exactly one `from` record (parent), with
+ *   between `min` and `max` children per parent and an `empty` share of childless parents
+ *   (foreign key `${from}Id`)
+ * - many-to-one: each `from` record (child) gets exactly one `to` record (parent), with
+ *   between `min` and `max` children per parent (foreign key `${to}Id`)
+ * - many-to-many: join records are created in a dataset named by `through`
+ *   (`${from}_${to}` by default) with `${from}Id` and `${to}Id` keys
+ * Records are linked through their `key` field ('id' by default).
+ * @param {object} datasets - Generated records by schema name, updated in place
+ * @param {Array<object>} relations - Relation definitions
+ * @param {object} context - Generation context
+ * @returns {object} Join records of many-to-many relations, by join dataset name
+ */
+function applyRelations(datasets, relations, context) {
+  const { faker } = context;
+  const joins = {};
+
+  relations.forEach(relation => {
+    checkRelation(relation, datasets);
+
+    const { from, to, type } = relation;
+
+    switch (type) {
+      case 'one-to-one':
+        applyOneToOne(relation, datasets, faker);
+        break;
+      case 'one-to-many':
+        applyParentChild(from, to, relation, `${from}Id`, datasets, faker);
+        break;
+      case 'many-to-one':
+        applyParentChild(to, from, relation, `${to}Id`, datasets, faker);
+        break;
+      case 'many-to-many': {
+        const through = relation.through || `${from}_${to}`;
+        joins[through] = [...(joins[through] || []), ...createJoinRecords(relation, datasets, faker)];
+        break;
+      }
+    }
+  });
+
+  return joins;
+}
+
+module.exports = {
+  RELATION_TYPES,
+  DEFAULT_MANY_TO_MANY,
+  distributeChildren,
+  applyRelations
+};
@@ -0,0 +1,184 @@
+/**
+ * Scenarios module
+ * Multi-table datasets described by one document: the tables, how many rows each has,
+ * possibly relative to another table, and the relations between them
+ */
+
+const { createContext } = require('./context');
+const { generateRelatedRecords } = require('./recordGenerators');
+
+/**
+ * Size expressions such as '100', '2-8 per customers' or '3 per orders'
+ */
+const SIZE_EXPRESSION = /^\s*(\d+)\s*(?:(?:-|\.\.)\s*(\d+)\s*)?(?:per\s+(\w+)\s*)?$/i;
+
+/**
+ * Parse the size of a scenario table
+ * @param {number|string|object} size - Row count, size expression or {count} / {per, min, max}
+ * @param {string} tableName - Table the size belongs to
+ * @returns {object} {count} for a fixed size, or {per, min, max} for rows per parent row
+ */
+function parseSize(size, tableName) {
+  if (typeof size === 'number') return parseSize({ count: size }, tableName);
+
+  if (typeof size === 'string') {
+    const match = size.match(SIZE_EXPRESSION);
+    if (!match) {
+      throw new Error(`Invalid size "${size}" of table "${tableName}"; expected e.g. "100" or "2-8 per customers"`);
+    }
+
+    const min = Number(match[1]);
+    const max = match[2] !== undefined ? Number(match[2]) : min;
+    return parseSize(match[3] ? { per: match[3], min, max } : { count: min }, tableName);
+  }
+
+  const { count, per, min = count, max = min } = size || {};
+
+  if (per) {
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) {
+      throw new Error(`Table "${tableName}" must have between min and max rows per "${per}" row, with 0 <= min <= max`);
+    }
+    return { per, min, max };
+  }
+
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Table "${tableName}" must have a non-negative row count`);
+  }
+  return { count };
+}
+
+/**
+ * Order scenario tables so that every table comes after the table its size is relative to
+ * @param {object} sizes - Parsed sizes by table name
+ * @returns {Array<string>} Table names
+ */
+function orderTables(sizes) {
+  const ordered = [];
+  const state = {};
+
+  const visit = (tableName, trail) => {
+    if (state[tableName] === 'done') return;
+    if (state[tableName] === 'visiting') {
+      throw new Error(`Table sizes depend on each other: ${[...trail, tableName].join(' -> ')}`);
+    }
+
+    state[tableName] = 'visiting';
+
+    const { per } = sizes[tableName];
+    if (per) {
+      if (!sizes[per]) throw new Error(`Table "${tableName}" is sized per unknown table "${per}"`);
+      visit(per, [...trail, tableName]);
+    }
+
+    state[tableName] = 'done';
+    ordered.push(tableName);
+  };
+
+  Object.keys(sizes).forEach(tableName => visit(tableName, []));
+
+  return ordered;
+}
+
+/**
+ * Work out the schemas, row counts and relations of a scenario
+ * A table sized per parent row gets between min and max rows for each parent row, except
+ * for an `empty` share of parent rows that get none, and a one-to-many relation from the
+ * parent table that gives every row exactly one parent.
+ * @param {object} scenario - Scenario document (see generateScenario)
+ * @param {object} context - Generation context, whose engine draws the row counts
+ * @returns {object} {schemas, options, relations} for generateRelatedRecords
+ */
+function planScenario(scenario, context) {
+  const { tables = {}, relations = [] } = scenario;
+  const tableNames = Object.keys(tables);
+
+  if (tableNames.length === 0) {
+    throw new Error('Scenario must define at least one table');
+  }
+
+  const sizes = {};
+  tableNames.forEach(tableName => {
+    if (!tables[tableName] || !tables[tableName].schema) {
+      throw new Error(`Table "${tableName}" must have a schema`);
+    }
+    sizes[tableName] = parseSize(tables[tableName].size, tableName);
+  });
+
+  const schemas = {};
+  const options = {};
+  const counts = {};
+  const sizeRelations = [];
+
+  orderTables(sizes).forEach(tableName => {
+    const { schema, empty = 0, foreignKey, key, options: tableOptions } = tables[tableName];
+    const { count, per, min, max } = sizes[tableName];
+
+    if (per) {
+      if (!(empty >= 0 && empty <= 1)) {
+        throw new Error(`Table "${tableName}" must have an empty share between 0 and 1`);
+      }
+
+      const parents = counts[per] - Math.round(counts[per] * empty);
+      counts[tableName] = Array.from({ length: parents }, () => context.faker.number.int({ min, max }))
+        .reduce((total, rows) => total + rows, 0);
+
+      sizeRelations.push({ from: per, to: tableName, type: 'one-to-many', min, max, empty, foreignKey, key });
+    } else {
+      counts[tableName] = count;
+    }
+
+    schemas[tableName] = schema;
+    options[tableName] = { ...tableOptions, count: counts[tableName] };
+  });
+
+  return { schemas, options, relations: [...sizeRelations, ...relations] };
+}
+
+/**
+ * Generate a consistent multi-table dataset from a scenario document
+ * @example
+ * generateScenario({
+ *   tables: {
+ *     customers: { schema: customerSchema, size: 100 },
+ *     orders: { schema: orderSchema, size: '2-8 per customers', empty: 0.2, foreignKey: 'customerId' },
+ *     lineItems: { schema: lineItemSchema, size: '1-5 per orders', foreignKey: 'orderId' }
+ *   },
+ *   relations: [{ from: 'orders', to: 'coupons', type: 'many-to-many' }]
+ * }, { seed: 42 });
+ * @param {object} scenario - Scenario document
+ * @param {object} scenario.tables - Tables by name: {schema, size, empty, foreignKey, key, options}
+ *   where `size` is a row count or a size expression relative to a parent table, `empty` the
+ *   share of parent rows without rows in this table, and `foreignKey` / `key` how rows point at
+ *   their parent row (`${parent}Id` and 'id' by default)
+ * @param {Array} scenario.relations - Other relations between the tables (see applyRelations)
+ * @param {number} scenario.seed - Seed of the scenario
+ * @param {string|Date} scenario.refDate - Reference date of the scenario
+ * @param {object} options - Generation options
+ * @param {number} options.seed - Seed, winning over the scenario's
+ * @param {string|Date} options.refDate - Reference date, winning over the scenario's
+ * @param {object} options.generators - Generators overriding field types, by type
+ * @param {boolean|number} options.edgeCases - Share of values that are edge cases
+ * @param {object} options.context - Existing generation context to continue
+ * @returns {object} Generated records by table name
+ */
+function generateScenario(scenario, options = {}) {
+  if (!scenario || typeof scenario !== 'object') {
+    throw new Error('Scenario must be an object');
+  }
+
+  const context = options.context || createContext({
+    seed: options.seed !== undefined ? options.seed : scenario.seed,
+    refDate: options.refDate !== undefined ? options.refDate : scenario.refDate,
+    generators: options.generators,
+    edgeCases: options.edgeCases
+  });
+  const plan = planScenario(scenario, context);
+
+  return generateRelatedRecords(plan.schemas, plan.relations, { ...plan.options, context });
+}
+
+module.exports = {
+  parseSize,
+  planScenario,
+  generateScenario
+};
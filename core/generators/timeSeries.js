@@ -0,0 +1,192 @@
+/**
+ * Time series module
+ * Turns a schema into an ordered series of timestamped readings
+ */
+
+const _ = require('lodash');
+const { toTimestamp, getZonedParts, formatDate } = require('./dateGenerators');
+const { sampleDistribution } = require('./distributions');
+
+const MS_PER_UNIT = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const MS_PER_DAY = MS_PER_UNIT.d;
+
+/**
+ * Default hour of the day (0-23) at which daily seasonality peaks
+ */
+const DEFAULT_DAILY_PEAK = 14;
+
+/**
+ * Default day of the week (0 = Sunday) at which weekly seasonality peaks
+ */
+const DEFAULT_WEEKLY_PEAK = 3;
+
+/**
+ * Parse a duration such as "500ms", "30s", "5m", "1h", "1d" or "1w"
+ * @param {string|number} duration - Duration string, or milliseconds
+ * @returns {number} Duration in milliseconds
+ */
+function parseDuration(duration) {
+  if (typeof duration === 'number') return duration;
+
+  const match = String(duration).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)$/);
+  if (!match) {
+    throw new Error(`Invalid duration "${duration}"; expected a number of milliseconds or a value such as "30s", "5m" or "1h"`);
+  }
+
+  return Number(match[1]) * MS_PER_UNIT[match[2]];
+}
+
+/**
+ * Normalize a seasonality setting
+ * @param {number|object} seasonality - Amplitude, or {amplitude, peak}
+ * @param {number} defaultPeak - Peak used when none is given
+ * @returns {object|null} Seasonality {amplitude, peak}
+ */
+function normalizeSeasonality(seasonality, defaultPeak) {
+  if (!seasonality) return null;
+
+  return typeof seasonality === 'number'
+    ? { amplitude: seasonality, peak: defaultPeak }
+    : { amplitude: seasonality.amplitude || 0, peak: seasonality.peak !== undefined ? seasonality.peak : defaultPeak };
+}
+
+/**
+ * Prepare the time series settings of a schema
+ * The schema's `timeSeries` names the timestamp field and how readings are spaced:
+ * `{ timestamp: 'ts', start, interval: '1m', jitter: '5s' }`. Numeric fields with a
+ * `series` option follow a trend with seasonality, noise and spikes instead of being
+ * drawn independently.
+ * @param {object} schema - Schema definition
+ * @param {object} fields - Normalized field definitions by name
+ * @param {object} context - Generation context
+ * @returns {object|null} Time series plan, or null when the schema is not a time series
+ */
+function createTimeSeries(schema, fields, context) {
+  const settings = schema.timeSeries;
+  if (!settings) return null;
+
+  const { timestamp: timestampField, start, interval = '1m', jitter = 0 } = settings;
+
+  if (!timestampField || !fields[timestampField]) {
+    throw new Error(`Time series timestamp field "${timestampField}" is not defined in the schema`);
+  }
+
+  const step = parseDuration(interval);
+  if (!(step > 0)) {
+    throw new Error('Time series interval must be greater than zero');
+  }
+
+  const series = {};
+  Object.entries(fields).forEach(([fieldName, fieldDef]) => {
+    if (!fieldDef.series) return;
+
+    if (!['number', 'integer'].includes(fieldDef.type)) {
+      throw new Error(`Series field "${fieldName}" must be a number or integer, not "${fieldDef.type}"`);
+    }
+
+    series[fieldName] = {
+      ...fieldDef.series,
+      daily: normalizeSeasonality(fieldDef.series.daily, DEFAULT_DAILY_PEAK),
+      weekly: normalizeSeasonality(fieldDef.series.weekly, DEFAULT_WEEKLY_PEAK)
+    };
+  });
+
+  return {
+    timestampField,
+    start: toTimestamp(start !== undefined ? start : context.refDate),
+    step,
+    // Jitter is kept under half an interval so readings never overtake each other
+    jitter: Math.min(parseDuration(jitter), step / 2),
+    series
+  };
+}
+
+/**
+ * Generate the timestamp of the reading at a position in the series
+ * @param {object} timeSeries - Time series plan
+ * @param {number} index - Position of the reading
+ * @param {Faker} faker - Random engine of the current run
+ * @returns {number} Epoch milliseconds
+ */
+function readingTime(timeSeries, index, faker) {
+  const { start, step, jitter } = timeSeries;
+  const offset = jitter > 0 ? faker.number.int({ min: -jitter, max: jitter }) : 0;
+
+  // The first reading never moves before the start of the series
+  return Math.max(start, start + index * step + offset);
+}
+
+/**
+ * Compute the value of a series field at a point in time
+ * value = base + trend * days + daily and weekly cycles + noise (+ an occasional spike)
+ * @param {object} fieldDef - Field definition
+ * @param {object} settings - Normalized `series` settings of the field
+ * @param {number} timestamp - Time of the reading
+ * @param {object} timeSeries - Time series plan
+ * @param {Faker} faker - Random engine of the current run
+ * @param {string} timeZone - Time zone that seasonality follows
+ * @returns {number} Series value
+ */
+function seriesValue(fieldDef, settings, timestamp, timeSeries, faker, timeZone) {
+  const { base = 0, trend = 0, noise = 0, spikes, daily, weekly } = settings;
+  const { hour, minute, weekday } = getZonedParts(timestamp, timeZone);
+  const hourOfDay = hour + minute / 60;
+
+  let value = base + trend * ((timestamp - timeSeries.start) / MS_PER_DAY);
+
+  if (daily) {
+    value += daily.amplitude * Math.cos((2 * Math.PI * (hourOfDay - daily.peak)) / 24);
+  }
+  if (weekly) {
+    value += weekly.amplitude * Math.cos((2 * Math.PI * (weekday + hourOfDay / 24 - weekly.peak)) / 7);
+  }
+  if (noise > 0) {
+    value += sampleDistribution({ type: 'normal', mean: 0, stddev: noise }, {}, faker);
+  }
+  if (spikes && spikes.probability > 0 && faker.datatype.boolean({ probability: spikes.probability })) {
+    value += (spikes.magnitude || 0) * faker.number.float({ min: 0.5, max: 1.5 });
+  }
+
+  if (fieldDef.min !== undefined) value = Math.max(value, fieldDef.min);
+  if (fieldDef.max !== undefined) value = Math.min(value, fieldDef.max);
+
+  return fieldDef.type === 'integer' ? Math.round(value) : _.round(value, fieldDef.scale !== undefined ? fieldDef.scale : 2);
+}
+
+/**
+ * Generate the time series fields of the reading at a position in the series
+ * @param {object} timeSeries - Time series plan
+ * @param {object} fields - Normalized field definitions by name
+ * @param {number} index - Position of the reading
+ * @param {object} context - Generation context
+ * @returns {object} Timestamp and series values by field name
+ */
+function generateReading(timeSeries, fields, index, context) {
+  const { timestampField, series } = timeSeries;
+  const timestampDef = fields[timestampField];
+  const timestamp = readingTime(timeSeries, index, context.faker);
+
+  const reading = {
+    [timestampField]: formatDate(timestamp, timestampDef, timestampDef.type !== 'date')
+  };
+
+  Object.entries(series).forEach(([fieldName, settings]) => {
+    reading[fieldName] = seriesValue(fields[fieldName], settings, timestamp, timeSeries, context.faker, timestampDef.timeZone);
+  });
+
+  return reading;
+}
+
+module.exports = {
+  parseDuration,
+  createTimeSeries,
+  generateReading
+};
@@ -0,0 +1,246 @@
+/**
+ * Trees module
+ * Hierarchies whose records point at a parent record of the same set: org charts, category
+ * trees, folders and threaded comments, flat or nested, with the common SQL tree encodings
+ */
+
+const _ = require('lodash');
+const { createContext } = require('./context');
+const { getSchemaFields, createRecordPlan, buildRecord } = require('./recordGenerators');
+
+/**
+ * Default number of levels below the roots
+ */
+const DEFAULT_TREE_DEPTH = 3;
+
+/**
+ * Default number of children per node
+ */
+const DEFAULT_BRANCHING = { min: 1, max: 3 };
+
+/**
+ * Default largest number of nodes, which keeps wide and deep trees from exploding
+ */
+const DEFAULT_MAX_NODES = 10000;
+
+/**
+ * Normalize a branching factor given as a number or as {min, max}
+ * @param {number|object} branching - Children per node
+ * @returns {object} {min, max}
+ */
+function normalizeBranching(branching = DEFAULT_BRANCHING) {
+  const { min, max = min } = typeof branching === 'number' ? { min: branching } : branching;
+
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) {
+    throw new Error('Tree branching must be a non-negative integer or {min, max} with 0 <= min <= max');
+  }
+
+  return { min, max };
+}
+
+/**
+ * Get the name of an optional encoding field
+ * @param {boolean|string} option - True for the default name, or the field name
+ * @param {string} defaultName - Default field name
+ * @returns {string|null} Field name, or null when the encoding is off
+ */
+function encodingField(option, defaultName) {
+  if (!option) return null;
+  return typeof option === 'string' ? option : defaultName;
+}
+
+/**
+ * Number the nodes of a tree in nested set order
+ * @param {Array<object>} roots - Root nodes, each with `children`
+ * @param {Function} visit - Called as visit(node, left, right)
+ */
+function numberNestedSet(roots, visit) {
+  let counter = 0;
+
+  // Explicit stack, so deep trees do not overflow the call stack
+  const stack = roots.slice().reverse().map(node => ({ node, entered: false }));
+  while (stack.length > 0) {
+    const entry = stack[stack.length - 1];
+
+    if (!entry.entered) {
+      entry.entered = true;
+      entry.left = ++counter;
+      entry.node.children.slice().reverse().forEach(child => stack.push({ node: child, entered: false }));
+    } else {
+      stack.pop();
+      visit(entry.node, entry.left, ++counter);
+    }
+  }
+}
+
+/**
+ * Generate a tree of records of one schema
+ * Nodes are generated level by level from the roots; each has between `branching.min` and
+ * `branching.max` children until `maxDepth` levels below the roots or `maxNodes` nodes are
+ * reached. Every record gets its parent's key in `parentKey` (null for roots), whatever the
+ * schema says about that field, such as a reference to its own schema. Records whose
+ * schema does not generate the key field are numbered from 1 in generation order; sequence
+ * fields count the same way.
+ * @param {object} schema - Schema definition of a node
+ * @param {object} options - Tree options
+ * @param {number} options.roots - Number of root nodes (1 by default)
+ * @param {number} options.maxDepth - Levels below the roots (3 by default)
+ * @param {number|object} options.branching - Children per node, or {min, max} (1 to 3 by default)
+ * @param {number} options.maxNodes - Largest number of nodes (10000 by default)
+ * @param {string} options.output - 'flat' records (default) or 'nested' roots with children
+ * @param {string} options.key - Key field of a node ('id' by default)
+ * @param {string} options.parentKey - Field pointing at the parent's key ('parentId' by default)
+ * @param {string} options.childrenKey - Field holding the children in nested output ('children' by default)
+ * @param {boolean|string} options.depth - Add the depth of each node (field 'depth', or the given name)
+ * @param {boolean|string} options.path - Add a materialized path of keys (field 'path', or the given name)
+ * @param {string} options.pathSeparator - Separator of materialized paths ('/' by default)
+ * @param {boolean|object} options.nestedSet - Add nested set bounds (fields {left: 'lft', right: 'rgt'})
+ * @param {string} options.name - Name of the schema
+ * @param {number} options.seed - Seed for the run's random engine
+ * @param {string|Date} options.refDate - Reference date for relative dates
+ * @param {object} options.context - Existing generation context to continue
+ * @returns {Array<object>} Records, flat or nested
+ */
+function generateTree(schema, options = {}) {
+  const {
+    roots = 1,
+    maxDepth = DEFAULT_TREE_DEPTH,
+    maxNodes = DEFAULT_MAX_NODES,
+    output = 'flat',
+    key = 'id',
+    parentKey = 'parentId',
+    childrenKey = 'children',
+    pathSeparator = '/',
+    name
+  } = options;
+  const branching = normalizeBranching(options.branching);
+
+  if (!Number.isInteger(roots) || roots < 1) throw new Error('Tree roots must be a positive integer');
+  if (!Number.isInteger(maxDepth) || maxDepth < 0) throw new Error('Tree maxDepth must be a non-negative integer');
+  if (!Number.isInteger(maxNodes) || maxNodes < 1) throw new Error('Tree maxNodes must be a positive integer');
+  if (!['flat', 'nested'].includes(output)) throw new Error(`Tree output must be "flat" or "nested", not "${output}"`);
+
+  const context = options.context || createContext({
+    seed: options.seed,
+    refDate: options.refDate,
+    generators: options.generators,
+    edgeCases: options.edgeCases
+  });
+  // Keys must tell nodes apart, so the key is tracked like a unique field
+  const fields = _.omit(getSchemaFields(schema), parentKey);
+  if (fields[key]) fields[key] = { ...fields[key], unique: true };
+  const nodeSchema = { ..._.omit(schema, ['properties']), fields };
+
+  // Unique values are tracked for the most nodes the tree can have
+  let levelSize = roots;
+  let nodeBound = roots;
+  for (let depth = 0; depth < maxDepth && nodeBound < maxNodes && levelSize > 0; depth++) {
+    levelSize *= branching.max;
+    nodeBound += levelSize;
+  }
+  const plan = createRecordPlan(nodeSchema, context, { count: Math.min(nodeBound, maxNodes), name });
+  const depthField = encodingField(options.depth, 'depth');
+  const pathField = encodingField(options.path, 'path');
+  const nestedSet = options.nestedSet
+    ? { left: 'lft', right: 'rgt', ...(typeof options.nestedSet === 'object' ? options.nestedSet : {}) }
+    : null;
+
+  const nodes = [];
+  const createNode = (parent) => {
+    const index = nodes.length;
+    const record = buildRecord(plan, context, index);
+
+    if (record[key] === undefined || record[key] === null) record[key] = index + 1;
+    record[parentKey] = parent ? parent.record[key] : null;
+
+    const node = {
+      record,
+      depth: parent ? parent.depth + 1 : 0,
+      path: pathField ? `${parent ? parent.path : ''}${pathSeparator}${record[key]}` : null,
+      children: []
+    };
+    if (parent) parent.children.push(node);
+    nodes.push(node);
+
+    return node;
+  };
+
+  const rootNodes = [];
+  for (let i = 0; i < roots && nodes.length < maxNodes; i++) {
+    rootNodes.push(createNode(null));
+  }
+
+  // Level by level, so a node limit trims the deepest level rather than whole branches
+  let level = rootNodes;
+  for (let depth = 0; depth < maxDepth && level.length > 0; depth++) {
+    const next = [];
+
+    for (const parent of level) {
+      const childCount = context.faker.number.int(branching);
+      for (let i = 0; i < childCount && nodes.length < maxNodes; i++) {
+        next.push(createNode(parent));
+      }
+    }
+
+    level = next;
+  }
+
+  nodes.forEach(node => {
+    if (depthField) node.record[depthField] = node.depth;
+    if (pathField) node.record[pathField] = node.path;
+  });
+
+  if (nestedSet) {
+    numberNestedSet(rootNodes, (node, left, right) => {
+      node.record[nestedSet.left] = left;
+      node.record[nestedSet.right] = right;
+    });
+  }
+
+  if (output === 'flat') {
+    return nodes.map(node => node.record);
+  }
+
+  // Children are attached from the deepest nodes up
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    nodes[i].record[childrenKey] = nodes[i].children.map(child => child.record);
+  }
+  return rootNodes.map(node => node.record);
+}
+
+/**
+ * Build the closure table of a flat tree: one row per ancestor and descendant pair,
+ * including each node paired with itself at depth 0
+ * @param {Array<object>} records - Flat tree records
+ * @param {object} options - Field names
+ * @param {string} options.key - Key field of a node ('id' by default)
+ * @param {string} options.parentKey - Field pointing at the parent's key ('parentId' by default)
+ * @returns {Array<object>} Rows {ancestorId, descendantId, depth}
+ */
+function buildClosureTable(records, options = {}) {
+  const { key = 'id', parentKey = 'parentId' } = options;
+  const parents = new Map(records.map(record => [record[key], record[parentKey]]));
+
+  return records.flatMap(record => {
+    const rows = [];
+    const seen = new Set();
+    let ancestor = record[key];
+
+    for (let depth = 0; ancestor !== null && ancestor !== undefined; depth++) {
+      if (seen.has(ancestor)) {
+        throw new Error(`Tree records form a cycle through "${ancestor}"`);
+      }
+      seen.add(ancestor);
+
+      rows.push({ ancestorId: ancestor, descendantId: record[key], depth });
+      ancestor = parents.get(ancestor);
+    }
+
+    return rows;
+  });
+}
+
+module.exports = {
+  generateTree,
+  buildClosureTable
+};
@@ -0,0 +1,250 @@
+/**
+ * Uniqueness module
+ * Tracks generated values so unique fields and composite keys never repeat within a run
+ */
+
+const _ = require('lodash');
+const { parseReference, getEnumValues } = require('./fieldGenerators');
+
+/**
+ * Default number of attempts at drawing an unused value before giving up
+ */
+const DEFAULT_MAX_RETRIES = 100;
+
+/**
+ * Largest value space that is enumerated to pick the last remaining values directly
+ */
+const MAX_ENUMERABLE = 100000;
+
+/**
+ * Build a comparable key for a generated value
+ * @param {*} value - Generated value
+ * @returns {string} Key identifying the value
+ */
+function valueKey(value) {
+  return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+/**
+ * List every value a field can take, when that list is finite and small
+ * @param {object} fieldDef - Field definition
+ * @param {object} context - Generation context
+ * @returns {Array|null} Possible values, or null when the space is unbounded or too large
+ */
+function enumerateValues(fieldDef, context) {
+  switch (fieldDef.type) {
+    case 'enum':
+      return _.uniqBy(getEnumValues(fieldDef), valueKey);
+    case 'boolean':
+      return [true, false];
+    case 'null':
+      return [null];
+    case 'integer':
+    case 'age': {
+      const { min = fieldDef.type === 'age' ? 18 : 0, max = fieldDef.type === 'age' ? 90 : 1000 } = fieldDef;
+      const size = Math.floor(max) - Math.ceil(min) + 1;
+      return size <= MAX_ENUMERABLE ? _.range(Math.ceil(min), Math.floor(max) + 1) : null;
+    }
+    case 'reference': {
+      const { ref, field } = parseReference(fieldDef);
+      const pool = ref && context.references[ref];
+      // An empty pool may still be filling up (self references), so its size is unknown
+      return pool && pool.length > 0 ? _.uniqBy(pool.map(record => _.get(record, field)), valueKey) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Count the distinct values a field can take
+ * @param {object} fieldDef - Field definition
+ * @param {object} context - Generation context
+ * @returns {number} Size of the value space (Infinity when unbounded)
+ */
+function getValueSpace(fieldDef, context) {
+  if (fieldDef.type === 'integer' || fieldDef.type === 'age') {
+    const { min = fieldDef.type === 'age' ? 18 : 0, max = fieldDef.type === 'age' ? 90 : 1000 } = fieldDef;
+    return Math.max(Math.floor(max) - Math.ceil(min) + 1, 0);
+  }
+
+  const values = enumerateValues(fieldDef, context);
+  return values ? values.length : Infinity;
+}
+
+/**
+ * Create a uniqueness tracker for a generation run
+ * Unique fields are those marked `unique` or `primaryKey`; composite keys come from
+ * the schema's `primaryKey` (array of field names) and `uniqueKeys` (array of arrays).
+ * @param {object} schema - Schema definition
+ * @param {object} fields - Normalized field definitions by name
+ * @param {number} count - Number of records to be generated
+ * @param {object} context - Generation context
+ * @param {object} options - Tracker options
+ * @param {number} options.maxRetries - Attempts per value before failing
+ * @returns {object|null} Tracker, or null when the schema has no uniqueness constraints
+ */
+function createUniqueTracker(schema, fields, count, context, options = {}) {
+  const { maxRetries = DEFAULT_MAX_RETRIES } = options;
+
+  const uniqueFields = Object.keys(fields).filter(name => fields[name].unique || fields[name].primaryKey);
+
+  const compositeKeys = [...(schema.uniqueKeys || [])];
+  if (Array.isArray(schema.primaryKey)) compositeKeys.push(schema.primaryKey);
+
+  const keys = compositeKeys
+    .filter(key => Array.isArray(key) && key.length > 0)
+    .map(key => {
+      key.forEach(name => {
+        if (!fields[name]) throw new Error(`Unique key references unknown field "${name}"`);
+      });
+      return key;
+    });
+
+  if (uniqueFields.length === 0 && keys.length === 0) return null;
+
+  // Fail fast when the requested count cannot possibly be unique
+  uniqueFields.forEach(name => {
+    const space = getValueSpace(fields[name], context);
+    if (space < count) {
+      throw new Error(
+        `Field "${name}" must be unique but only has ${space} possible values; cannot generate ${count} records`
+      );
+    }
+  });
+
+  keys.forEach(key => {
+    const space = key.reduce((total, name) => total * getValueSpace(fields[name], context), 1);
+    if (space < count) {
+      throw new Error(
+        `Key (${key.join(', ')}) must be unique but only has ${space} possible combinations; cannot generate ${count} records`
+      );
+    }
+  });
+
+  return {
+    maxRetries,
+    fields: Object.fromEntries(uniqueFields.map(name => [name, new Set()])),
+    keys: keys.map(fieldNames => ({ fieldNames, seen: new Set() }))
+  };
+}
+
+/**
+ * Generate a value for a unique field that has not been used yet in this run
+ * @param {string} fieldName - Field name
+ * @param {object} fieldDef - Field definition
+ * @param {Function} generate - Produces a candidate value
+ * @param {object} tracker - Uniqueness tracker
+ * @param {object} context - Generation context
+ * @returns {*} Unused value
+ */
+function generateUniqueValue(fieldName, fieldDef, generate, tracker, context) {
+  const seen = tracker.fields[fieldName];
+
+  for (let attempt = 0; attempt < tracker.maxRetries; attempt++) {
+    const value = generate();
+    const key = valueKey(value);
+
+    if (!seen.has(key)) {
+      seen.add(key);
+      return value;
+    }
+  }
+
+  // Random draws keep colliding: pick directly from what is left of a small value space
+  const remaining = (enumerateValues(fieldDef, context) || []).filter(value => !seen.has(valueKey(value)));
+  if (remaining.length > 0) {
+    const value = context.faker.helpers.arrayElement(remaining);
+    seen.add(valueKey(value));
+    return value;
+  }
+
+  throw new Error(
+    `Could not generate a unique value for field "${fieldName}" after ${tracker.maxRetries} attempts (${seen.size} values used)`
+  );
+}
+
+/**
+ * Claim a value given for a unique field rather than generated, such as a factory override
+ * @param {string} fieldName - Field name
+ * @param {*} value - Given value
+ * @param {object} tracker - Uniqueness tracker
+ */
+function claimGivenValue(fieldName, value, tracker) {
+  const seen = tracker.fields[fieldName];
+  if (!seen || value === undefined || value === null) return;
+
+  const key = valueKey(value);
+  if (seen.has(key)) {
+    throw new Error(`Field "${fieldName}" must be unique but was given the used value ${key}`);
+  }
+  seen.add(key);
+}
+
+/**
+ * Claim a record's composite key values, regenerating key fields on collision
+ * @param {object} record - Generated record (updated in place)
+ * @param {Function} regenerate - Regenerates a single field of the record by name
+ * @param {object} tracker - Uniqueness tracker
+ */
+function claimCompositeKeys(record, regenerate, tracker) {
+  tracker.keys.forEach(({ fieldNames, seen }) => {
+    // Like SQL, a key with a missing or null part is not checked
+    if (fieldNames.some(name => record[name] === undefined || record[name] === null)) return;
+
+    for (let attempt = 0; attempt <= tracker.maxRetries; attempt++) {
+      const key = valueKey(fieldNames.map(name => record[name]));
+
+      if (!seen.has(key)) {
+        seen.add(key);
+        return;
+      }
+
+      // Individually unique fields already guarantee a fresh combination, so only redraw the others
+      fieldNames
+        .filter(name => !tracker.fields[name])
+        .forEach(name => {
+          record[name] = regenerate(name);
+        });
+    }
+
+    throw new Error(
+      `Could not generate a unique combination for key (${fieldNames.join(', ')}) after ${tracker.maxRetries} attempts`
+    );
+  });
+}
+
+/**
+ * Claim all unique values of an already generated record, regenerating those taken earlier
+ * Used to merge records that were generated independently (e.g. in parallel chunks)
+ * @param {object} record - Generated record (updated in place)
+ * @param {object} fields - Normalized field definitions by name
+ * @param {Function} regenerate - Regenerates a single field of the record by name
+ * @param {object} tracker - Uniqueness tracker
+ * @param {object} context - Generation context
+ */
+function claimRecord(record, fields, regenerate, tracker, context) {
+  Object.entries(tracker.fields).forEach(([fieldName, seen]) => {
+    const value = record[fieldName];
+    if (value === undefined || value === null) return;
+
+    const key = valueKey(value);
+    if (!seen.has(key)) {
+      seen.add(key);
+      return;
+    }
+
+    record[fieldName] = generateUniqueValue(fieldName, fields[fieldName], () => regenerate(fieldName), tracker, context);
+  });
+
+  claimCompositeKeys(record, regenerate, tracker);
+}
+
+module.exports = {
+  getValueSpace,
+  createUniqueTracker,
+  generateUniqueValue,
+  claimGivenValue,
+  claimCompositeKeys,
+  claimRecord
+};
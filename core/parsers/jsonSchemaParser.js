@@ -38,10 +38,27 @@ const formatMapping = {
  * @returns {object} Internal field definition
  */
 function parseProperty(name, property) {
+  // References to shared definitions are resolved at generation time
+  const ref = getRef(property);
+  if (ref) {
+    const refDef = { name, $ref: ref };
+    if (property.nullable === true) refDef.nullable = true;
+    return refDef;
+  }
+  
+  // A type list such as ['string', 'null'] describes a nullable field
+  const types = Array.isArray(property.type) ? property.type : [property.type];
+  const baseType = types.find(type => type !== 'null') || types[0];
+  
   const fieldDef = {
     name,
-    type: typeMapping[property.type] || 'string'
+    type: typeMapping[baseType] || 'string'
   };
+  
+  // OpenAPI 3.0 marks nullable fields with `nullable: true`
+  if ((types.includes('null') && baseType !== 'null') || property.nullable === true) {
+    fieldDef.nullable = true;
+  }
 
   // Handle format if specified
   if (property.format) {
@@ -57,7 +74,12 @@ function parseProperty(name, property) {
   if (property.enum) fieldDef.values = property.enum;
   
   // Handle array items
-  if (property.type === 'array' && property.items) {
+  if (baseType === 'array' && property.items && getRef(property.items)) {
+    fieldDef.items = { $ref: getRef(property.items) };
+    
+    if (property.minItems !== undefined) fieldDef.minItems = property.minItems;
+    if (property.maxItems !== undefined) fieldDef.maxItems = property.maxItems;
+  } else if (baseType === 'array' && property.items) {
     fieldDef.items = {
       type: typeMapping[property.items.type] || 'string'
     };
@@ -78,13 +100,54 @@ function parseProperty(name, property) {
   }
   
   // Handle nested objects
-  if (property.type === 'object' && property.properties) {
+  if (baseType === 'object' && property.properties) {
     fieldDef.properties = parseProperties(property.properties);
   }
 
   return fieldDef;
 }
 
+/**
+ * Get the definition a property points at
+ * OpenAPI 3.0 wraps references that carry other keywords in a single-entry `allOf`.
+ * @param {object} property - JSON Schema property definition
+ * @returns {string|null} `$ref` pointer, e.g. '#/definitions/Comment'
+ */
+function getRef(property) {
+  if (property.$ref) return property.$ref;
+  if (Array.isArray(property.allOf) && property.allOf.length === 1 && property.allOf[0].$ref) {
+    return property.allOf[0].$ref;
+  }
+  
+  return null;
+}
+
+/**
+ * Parse a definitions section into internal definitions
+ * Object definitions keep their fields; other definitions are field definitions themselves.
+ * @param {object} definitions - JSON Schema definitions by name
+ * @returns {object} Internal definitions by name
+ */
+function parseDefinitions(definitions) {
+  const result = {};
+  
+  Object.entries(definitions).forEach(([name, def]) => {
+    if (!def.properties) {
+      result[name] = parseProperty(name, def);
+      return;
+    }
+    
+    const fields = parseProperties(def.properties);
+    (def.required || []).forEach(fieldName => {
+      if (fields[fieldName]) fields[fieldName].required = true;
+    });
+    
+    result[name] = { fields };
+  });
+  
+  return result;
+}
+
 /**
  * Parse JSON Schema properties into internal field definitions
  * @param {object} properties - JSON Schema properties object
@@ -131,25 +194,10 @@ function parse(schema, options = {}) {
       result.type = typeMapping[schemaObj.type] || 'object';
     }
     
-    // Handle definitions/components section (JSON Schema draft-07 or OpenAPI style)
-    if (schemaObj.definitions) {
-      result.definitions = {};
-      Object.entries(schemaObj.definitions).forEach(([name, def]) => {
-        if (def.properties) {
-          result.definitions[name] = {
-            fields: parseProperties(def.properties)
-          };
-        }
-      });
-    } else if (schemaObj.components && schemaObj.components.schemas) {
-      result.definitions = {};
-      Object.entries(schemaObj.components.schemas).forEach(([name, def]) => {
-        if (def.properties) {
-          result.definitions[name] = {
-            fields: parseProperties(def.properties)
-          };
-        }
-      });
+    // Handle definitions/components section (JSON Schema draft-07, 2019-09 or OpenAPI style)
+    const definitions = schemaObj.definitions || schemaObj.$defs || (schemaObj.components && schemaObj.components.schemas);
+    if (definitions) {
+      result.definitions = parseDefinitions(definitions);
     }
     
     // Handle required fields
@@ -64,6 +64,13 @@ function parsePath(name, path) {
       }
     }
     
+    // Handle references to other models
+    if (path.instance === 'ObjectId' && path.options.ref) {
+      fieldDef.type = 'reference';
+      fieldDef.ref = typeof path.options.ref === 'function' ? path.options.ref.modelName : path.options.ref;
+      fieldDef.field = '_id';
+    }
+    
     // Handle number validators
     if (path.instance === 'Number') {
       if (path.options.min !== undefined) fieldDef.min = path.options.min;
@@ -3,6 +3,8 @@
  * Parses SQL CREATE TABLE statements into our internal schema format
  */
 
+const { planConstraints } = require('../generators/constraints');
+
 /**
  * Map SQL data types to our internal types
  */
@@ -43,6 +45,11 @@ const typeMapping = {
   'time': 'string',
   'year': 'integer',
   
+  // Auto-increment types
+  'serial': 'sequence',
+  'smallserial': 'sequence',
+  'bigserial': 'sequence',
+  
   // Binary types
   'blob': 'string',
   'binary': 'string',
@@ -65,6 +72,106 @@ const typeMapping = {
   'polygon': 'object'
 };
 
+/**
+ * Operand of IN and BETWEEN: a name, a number or a set aside string literal
+ */
+const CHECK_OPERAND = '(-?[\\w.]+|\\u0000\\d+\\u0000)';
+
+/**
+ * Translate a SQL CHECK condition into a constraint expression
+ * Handles comparisons combined with AND, OR and NOT, IS [NOT] NULL, [NOT] IN (...) and
+ * [NOT] BETWEEN ... AND .... Other forms, such as LIKE, are left as they are and fail to
+ * compile.
+ * @param {string} condition - SQL condition, e.g. "end_date > start_date"
+ * @returns {string} Constraint expression, e.g. "end_date > start_date"
+ */
+function checkToExpression(condition) {
+  // String literals are set aside so the operators inside them are not rewritten
+  const literals = [];
+  const code = condition.replace(/'((?:[^']|'')*)'/g, (literal, text) => {
+    literals.push(`'${text.replace(/''/g, "\\'")}'`);
+    return `\u0000${literals.length - 1}\u0000`;
+  });
+
+  return code
+    // Quoted identifiers become plain names
+    .replace(/["`]([^"`]+)["`]/g, '$1')
+    .replace(new RegExp(`${CHECK_OPERAND}\\s+(NOT\\s+)?BETWEEN\\s+${CHECK_OPERAND}\\s+AND\\s+${CHECK_OPERAND}`, 'gi'),
+      (match, value, not, low, high) => (not
+        ? `(${value} < ${low} || ${value} > ${high})`
+        : `(${value} >= ${low} && ${value} <= ${high})`))
+    .replace(new RegExp(`${CHECK_OPERAND}\\s+(NOT\\s+)?IN\\s*\\(([^()]*)\\)`, 'gi'), (match, value, not, list) => {
+      const items = list.split(',').map(item => item.trim());
+      return not
+        ? `(${items.map(item => `${value} != ${item}`).join(' && ')})`
+        : `(${items.map(item => `${value} == ${item}`).join(' || ')})`;
+    })
+    .replace(/\bIS\s+NOT\s+NULL\b/gi, '!= null')
+    .replace(/\bIS\s+NULL\b/gi, '== null')
+    .replace(/<>/g, '!=')
+    .replace(/([^<>!=])=(?!=)/g, '$1==')
+    .replace(/\bAND\b/gi, '&&')
+    .replace(/\bOR\b/gi, '||')
+    .replace(/\bNOT\b/gi, '!')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => literals[index])
+    .trim();
+}
+
+/**
+ * List the column names a CHECK condition mentions
+ * @param {string} condition - SQL condition
+ * @param {object} fields - Parsed fields by column name
+ * @returns {Array} Column names
+ */
+function checkColumns(condition, fields) {
+  const withoutStrings = condition.replace(/'[^']*'/g, '');
+  const words = withoutStrings.match(/[A-Za-z_][\w$]*/g) || [];
+  return Array.from(new Set(words.map(word => word.replace(/["`]/g, '')).filter(word => fields[word])));
+}
+
+/**
+ * Read a SQL literal of an IN list
+ * @param {string} literal - Literal, e.g. 'active' or 42
+ * @returns {string|number|undefined} Value, or undefined for anything but a string or a number
+ */
+function parseCheckLiteral(literal) {
+  const text = literal.trim();
+  const quoted = text.match(/^'((?:[^']|'')*)'$/);
+  if (quoted) return quoted[1].replace(/''/g, "'");
+  return /^-?\d+(?:\.\d+)?$/.test(text) ? Number(text) : undefined;
+}
+
+/**
+ * Turn a CHECK on a single column into the column's allowed values or range
+ * Handles `column IN (...)` with string or number literals, which makes the column an enum,
+ * and `column BETWEEN low AND high` on numeric columns, which sets its min and max.
+ * @param {string} condition - SQL condition
+ * @param {object} field - Field definition of the column, updated in place
+ * @returns {boolean} True when the condition became part of the field definition
+ */
+function applyColumnCheck(condition, field) {
+  const inMatch = condition.match(/^\s*["`]?\w+["`]?\s+IN\s*\(((?:[^()']|'(?:[^']|'')*')*)\)\s*$/i);
+  if (inMatch) {
+    const values = (inMatch[1].match(/'(?:[^']|'')*'|[^,]+/g) || [])
+      .filter(item => item.trim() !== '')
+      .map(parseCheckLiteral);
+    if (values.length === 0 || values.some(value => value === undefined)) return false;
+
+    field.type = 'enum';
+    field.values = values;
+    return true;
+  }
+
+  const betweenMatch = condition.match(/^\s*["`]?\w+["`]?\s+BETWEEN\s+(-?\d+(?:\.\d+)?)\s+AND\s+(-?\d+(?:\.\d+)?)\s*$/i);
+  if (betweenMatch && ['integer', 'number'].includes(field.type)) {
+    field.min = Number(betweenMatch[1]);
+    field.max = Number(betweenMatch[2]);
+    return true;
+  }
+
+  return false;
+}
+
 /**
  * Parse a SQL column definition into our internal field definition
  * @param {object} column - SQL column definition object
@@ -137,11 +244,23 @@ function parseColumn(column) {
       fieldDef.default = defaultValue;
     }
     
+    // Foreign key reference, e.g. REFERENCES users(id)
+    const referenceMatch = constraint.match(/references\s+["'`]?(\w+)["'`]?\s*\(\s*["'`]?(\w+)["'`]?/i);
+    if (referenceMatch) {
+      fieldDef.type = 'reference';
+      fieldDef.ref = referenceMatch[1];
+      fieldDef.field = referenceMatch[2];
+    }
+    
     // Check constraints
     const checkMatch = constraintLower.match(/check\s*\((.*?)\)/i);
     if (checkMatch) {
       const checkExpr = checkMatch[1];
       
+      // Conditions on other columns are kept for the table-level constraints
+      const fullCheck = constraint.match(/check\s*\(((?:[^()]|\([^()]*\))*)\)/i);
+      if (fullCheck) fieldDef.check = fullCheck[1].trim();
+      
       // Try to extract simple range constraints
       const rangeMatch = checkExpr.match(/(\w+)\s*(>=?|<=?)\s*(\d+)/);
       if (rangeMatch && rangeMatch[1].toLowerCase() === name.toLowerCase()) {
@@ -157,6 +276,20 @@ function parseColumn(column) {
     }
   });
   
+  // AUTO_INCREMENT and IDENTITY columns count up instead of taking random values
+  if (fieldDef.type === 'integer') {
+    const constraintText = constraints.join(' ');
+    const identityMatch = constraintText.match(/\bidentity\s*\(\s*(-?\d+)\s*,\s*(-?\d+)\s*\)/i);
+    
+    if (identityMatch) {
+      fieldDef.type = 'sequence';
+      fieldDef.start = Number(identityMatch[1]);
+      fieldDef.step = Number(identityMatch[2]);
+    } else if (/\b(auto_increment|autoincrement|identity)\b/i.test(constraintText)) {
+      fieldDef.type = 'sequence';
+    }
+  }
+  
   // Detect common formats by name
   if (fieldDef.type === 'string') {
     if (/email/i.test(name)) fieldDef.format = 'email';
@@ -181,7 +314,7 @@ function parse(sqlStatement, options = {}) {
     }
     
     // Extract table name and body
-    const tableRegex = /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(?:["'`]?([^"'`]+)["'`]?)?\s*\(([\s\S]+?)\)\s*(?:;|$)/i;
+    const tableRegex = /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(?:["'`]?([^"'`\s(]+)["'`]?)?\s*\(([\s\S]+?)\)\s*(?:;|$)/i;
     const tableMatch = sqlStatement.match(tableRegex);
     
     if (!tableMatch) {
@@ -191,22 +324,43 @@ function parse(sqlStatement, options = {}) {
     const tableName = tableMatch[1] || options.title || 'UnknownTable';
     const tableBody = tableMatch[2];
     
-    // Parse columns
-    const columnRegex = /([^,(]+(?:\([^)]*\))?[^,)]*)/g;
+    // Parse columns, splitting on commas outside parentheses and quotes
+    const definitions = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (const char of tableBody) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        definitions.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    definitions.push(current);
+    
     const columns = [];
     let match;
     
-    while ((match = columnRegex.exec(tableBody)) !== null) {
-      const columnDef = match[1].trim();
+    definitions.forEach(definition => {
+      const columnDef = definition.trim();
       
       // Skip empty lines, constraints and keys that aren't column definitions
       if (!columnDef || 
           /^(?:PRIMARY|FOREIGN|UNIQUE|CHECK|CONSTRAINT|KEY|INDEX)/i.test(columnDef)) {
-        continue;
+        return;
       }
       
       // Parse column name and type
-      const columnRegex = /^\s*["'`]?([^"'`\s]+)["'`]?\s+([^(,\s]+(?:\([^)]+\))?)[^,]*(.*)/i;
+      const columnRegex = /^\s*["'`]?([^"'`\s]+)["'`]?\s+([^(,\s]+(?:\([^)]+\))?)(.*)/i;
       const columnMatch = columnDef.match(columnRegex);
       
       if (columnMatch) {
@@ -226,7 +380,7 @@ function parse(sqlStatement, options = {}) {
           constraints
         });
       }
-    }
+    });
     
     // Convert to our schema format
     const fields = {};
@@ -235,11 +389,78 @@ function parse(sqlStatement, options = {}) {
       fields[field.name] = field;
     });
     
-    return {
+    const result = {
       title: tableName,
       type: 'object',
       fields
     };
+    
+    // Apply table-level PRIMARY KEY (a, b) and UNIQUE (a, b) constraints
+    const keyRegex = /(?:^|,)\s*(?:CONSTRAINT\s+["'`]?\w+["'`]?\s+)?(PRIMARY\s+KEY|UNIQUE)(?:\s+(?:KEY|INDEX))?(?:\s+["'`]?\w+["'`]?)?\s*\(([^)]+)\)/gi;
+    while ((match = keyRegex.exec(tableBody)) !== null) {
+      const keyFields = match[2].split(',').map(name => name.trim().replace(/^["'`]|["'`]$/g, ''));
+      const isPrimary = /^PRIMARY/i.test(match[1]);
+      
+      if (keyFields.length === 1 && fields[keyFields[0]]) {
+        fields[keyFields[0]].unique = true;
+        if (isPrimary) {
+          fields[keyFields[0]].primaryKey = true;
+          fields[keyFields[0]].required = true;
+        }
+      } else if (isPrimary) {
+        result.primaryKey = keyFields;
+      } else {
+        result.uniqueKeys = [...(result.uniqueKeys || []), keyFields];
+      }
+    }
+    
+    // CHECK conditions, from the table or from a column, narrow their column or become constraints
+    const checks = [];
+    const checkRegex = /(?:^|,)\s*(?:CONSTRAINT\s+["'`]?\w+["'`]?\s+)?CHECK\s*\(((?:[^()]|\([^()]*\))*)\)/gi;
+    while ((match = checkRegex.exec(tableBody)) !== null) {
+      checks.push(match[1].trim());
+    }
+    Object.values(fields).forEach(field => {
+      if (field.check) checks.push(field.check);
+      delete field.check;
+    });
+    
+    // Conditions the expression language cannot state are kept aside rather than failing generation
+    const constraints = [];
+    const unsupportedChecks = [];
+    checks
+      .filter(condition => {
+        const columns = checkColumns(condition, fields);
+        return !(columns.length === 1 && applyColumnCheck(condition, fields[columns[0]]));
+      })
+      .forEach(condition => {
+        const expression = checkToExpression(condition);
+        try {
+          planConstraints([expression], fields);
+          constraints.push(expression);
+        } catch (error) {
+          unsupportedChecks.push(condition);
+        }
+      });
+    if (constraints.length > 0) {
+      result.constraints = constraints;
+    }
+    if (unsupportedChecks.length > 0) {
+      result.unsupportedChecks = unsupportedChecks;
+    }
+    
+    // Apply table-level FOREIGN KEY (column) REFERENCES table(column) constraints
+    const foreignKeyRegex = /FOREIGN\s+KEY\s*\(\s*["'`]?(\w+)["'`]?\s*\)\s*REFERENCES\s+["'`]?(\w+)["'`]?\s*\(\s*["'`]?(\w+)["'`]?/gi;
+    while ((match = foreignKeyRegex.exec(tableBody)) !== null) {
+      const field = fields[match[1]];
+      if (field) {
+        field.type = 'reference';
+        field.ref = match[2];
+        field.field = match[3];
+      }
+    }
+    
+    return result;
   } catch (error) {
     throw new Error(`SQL parsing error: ${error.message}`);
   }
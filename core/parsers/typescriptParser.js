@@ -113,23 +113,26 @@ function parseTypeExpression(typeExpr) {
   // Handle union types like 'string | null'
   if (typeExpr.includes('|')) {
     const types = typeExpr.split('|').map(t => t.trim());
+    const nonNullTypes = types.filter(t => t !== 'null' && t !== 'undefined');
+    let parsed;
     
-    // Check if it's an enum-like union of string literals
-    const stringLiterals = types.filter(t => t.startsWith("'") || t.startsWith('"'));
-    if (stringLiterals.length > 0 && stringLiterals.length === types.length) {
-      return {
+    // An enum-like union of string literals stays an enum, even when it can be null
+    const stringLiterals = nonNullTypes.filter(t => t.startsWith("'") || t.startsWith('"'));
+    if (stringLiterals.length > 0 && stringLiterals.length === nonNullTypes.length) {
+      parsed = {
         type: 'enum',
         values: stringLiterals.map(s => s.slice(1, -1))
       };
+    } else {
+      // Otherwise use the first non-null, non-undefined type
+      parsed = nonNullTypes.length > 0 ? parseTypeExpression(nonNullTypes[0]) : { type: 'string' };
     }
     
-    // Otherwise use the first non-null, non-undefined type
-    const nonNullTypes = types.filter(t => t !== 'null' && t !== 'undefined');
-    if (nonNullTypes.length > 0) {
-      return parseTypeExpression(nonNullTypes[0]);
-    }
+    // 'T | null' can be null, 'T | undefined' can be left out
+    if (types.includes('null')) parsed.nullable = true;
+    if (types.includes('undefined')) parsed.optional = true;
     
-    return { type: 'string' };
+    return parsed;
   }
   
   // Handle basic types
@@ -154,9 +157,13 @@ function convertFields(extractedFields) {
     const fieldDef = {
       name,
       type: parsedType.type,
-      required: !isOptional
+      required: !isOptional && !parsedType.optional
     };
     
+    if (parsedType.nullable) {
+      fieldDef.nullable = true;
+    }
+    
     // Add enum values if present
     if (parsedType.values) {
       fieldDef.values = parsedType.values;
@@ -4,6 +4,8 @@
  */
 
 const { stringify } = require('csv-stringify/sync');
+const { stringify: csvStringifyStream } = require('csv-stringify');
+const { Readable, Transform } = require('stream');
 const path = require('path');
 const _ = require('lodash');
 
@@ -22,16 +24,11 @@ function toJSON(data, options = {}) {
 }
 
 /**
- * Export data to CSV format
- * @param {Array} data - Array of objects to export
+ * Translate CSV export options into csv-stringify options
  * @param {Object} options - Export options
- * @returns {String} CSV string
+ * @returns {Object} csv-stringify options
  */
-function toCSV(data, options = {}) {
-  if (!Array.isArray(data) || data.length === 0) {
-    return '';
-  }
-
+function csvOptions(options = {}) {
   const { 
     header = true,
     columns,
@@ -40,12 +37,12 @@ function toCSV(data, options = {}) {
     escapeQuotes = true
   } = options;
 
-  // Define stringify options
+  // Define stringify options; csv-stringify expects the escape character itself
   const stringifyOptions = {
     header,
     delimiter,
     quoted,
-    escape: escapeQuotes
+    escape: typeof escapeQuotes === 'string' ? escapeQuotes : '"'
   };
 
   // If columns are specified, use them
@@ -53,24 +50,44 @@ function toCSV(data, options = {}) {
     stringifyOptions.columns = columns;
   }
 
-  try {
-    return stringify(data, stringifyOptions);
-  } catch (error) {
-    throw new Error(`CSV export error: ${error.message}`);
-  }
+  return stringifyOptions;
 }
 
 /**
- * Export data to SQL INSERT statements
+ * Export data to CSV format
  * @param {Array} data - Array of objects to export
  * @param {Object} options - Export options
- * @returns {String} SQL INSERT statements
+ * @returns {String} CSV string
  */
-function toSQL(data, options = {}) {
+function toCSV(data, options = {}) {
   if (!Array.isArray(data) || data.length === 0) {
     return '';
   }
 
+  try {
+    return stringify(data, csvOptions(options));
+  } catch (error) {
+    throw new Error(`CSV export error: ${error.message}`);
+  }
+}
+
+/**
+ * Quote a SQL identifier for a dialect
+ * @param {string} name - Identifier
+ * @param {string} dialect - SQL dialect
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name, dialect) {
+  return dialect === 'mysql' ? `\`${name}\`` : `"${name}"`;
+}
+
+/**
+ * Build the DROP/CREATE TABLE preamble for a SQL export
+ * @param {object} sample - First record, used to infer column types
+ * @param {Object} options - Export options (see toSQL)
+ * @returns {String} SQL statements preceding the inserts
+ */
+function sqlPreamble(sample, options = {}) {
   const { 
     tableName = 'table',
     schema = 'public',
@@ -93,7 +110,6 @@ function toSQL(data, options = {}) {
   
   // Add CREATE TABLE statement if requested
   if (createTable) {
-    const sample = data[0];
     const columns = [];
     
     Object.entries(sample).forEach(([key, value]) => {
@@ -120,23 +136,51 @@ function toSQL(data, options = {}) {
           columnType = 'TEXT';
       }
       
-      const columnName = dialect === 'mysql' ? `\`${key}\`` : `"${key}"`;
-      columns.push(`${columnName} ${columnType}`);
+      columns.push(`${quoteIdentifier(key, dialect)} ${columnType}`);
     });
     
     sql += `CREATE TABLE ${tableIdentifier} (\n  ${columns.join(',\n  ')}\n);\n\n`;
   }
   
+  return sql;
+}
+
+/**
+ * Build a single INSERT statement for a record
+ * @param {object} row - Record to insert
+ * @param {Object} options - Export options (see toSQL)
+ * @returns {String} INSERT statement followed by a newline
+ */
+function sqlInsert(row, options = {}) {
+  const { tableName = 'table', schema = 'public', dialect = 'postgresql' } = options;
+  
+  const tableIdentifier = dialect === 'mysql' 
+    ? `\`${tableName}\`` 
+    : `"${schema}"."${tableName}"`;
+  
+  const columns = Object.keys(row);
+  const columnsList = columns.map(col => quoteIdentifier(col, dialect)).join(', ');
+  const valuesList = columns.map(col => formatSqlValue(row[col], dialect)).join(', ');
+  
+  return `INSERT INTO ${tableIdentifier} (${columnsList}) VALUES (${valuesList});\n`;
+}
+
+/**
+ * Export data to SQL INSERT statements
+ * @param {Array} data - Array of objects to export
+ * @param {Object} options - Export options
+ * @returns {String} SQL INSERT statements
+ */
+function toSQL(data, options = {}) {
+  if (!Array.isArray(data) || data.length === 0) {
+    return '';
+  }
+
+  let sql = sqlPreamble(data[0], options);
+  
   // Generate INSERT statements
   data.forEach(row => {
-    const columns = Object.keys(row);
-    const columnsList = columns.map(col => 
-      dialect === 'mysql' ? `\`${col}\`` : `"${col}"`
-    ).join(', ');
-    
-    const valuesList = columns.map(col => formatSqlValue(row[col], dialect)).join(', ');
-    
-    sql += `INSERT INTO ${tableIdentifier} (${columnsList}) VALUES (${valuesList});\n`;
+    sql += sqlInsert(row, options);
   });
   
   return sql;
@@ -180,6 +224,168 @@ function formatSqlValue(value, dialect = 'postgresql') {
   }
 }
 
+/**
+ * Escape text for XML content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Get the GraphML type of an attribute from its values
+ * @param {Array} values - Values of the attribute
+ * @returns {string} 'boolean', 'long', 'double' or 'string'
+ */
+function graphMLType(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+
+  if (present.length > 0 && present.every(value => typeof value === 'boolean')) return 'boolean';
+  if (present.length > 0 && present.every(Number.isInteger)) return 'long';
+  if (present.length > 0 && present.every(value => typeof value === 'number')) return 'double';
+  return 'string';
+}
+
+/**
+ * Declare the attributes of graph elements as GraphML keys
+ * @param {Array<object>} records - Nodes or edges
+ * @param {string} domain - 'node' or 'edge'
+ * @param {Array<string>} skip - Fields that are not attributes
+ * @returns {Array<object>} Keys {id, name, type}
+ */
+function graphMLKeys(records, domain, skip) {
+  const names = _.uniq(records.flatMap(Object.keys)).filter(name => !skip.includes(name));
+
+  return names.map(name => ({
+    id: `${domain[0]}_${name}`,
+    name,
+    type: graphMLType(records.map(record => record[name]))
+  }));
+}
+
+/**
+ * Write the attribute values of a graph element as GraphML data elements
+ * @param {object} record - Node or edge
+ * @param {Array<object>} keys - Attribute keys
+ * @returns {string} Data elements
+ */
+function graphMLData(record, keys) {
+  return keys
+    .filter(({ name }) => record[name] !== null && record[name] !== undefined)
+    .map(({ id, name }) => {
+      const value = typeof record[name] === 'object' ? JSON.stringify(record[name]) : record[name];
+      return `<data key="${id}">${escapeXml(value)}</data>`;
+    })
+    .join('');
+}
+
+/**
+ * Get the key, source and target fields of a graph's records
+ * Options win over the fields the graph was generated with, which win over the defaults.
+ * @param {Object} graph - Graph {nodes, edges, key, source, target}
+ * @param {Object} options - Export options {key, source, target}
+ * @returns {Object} {key, source, target}
+ */
+function graphFields(graph, options) {
+  const { key = graph.key || 'id', source = graph.source || 'source', target = graph.target || 'target' } = options;
+
+  (graph.nodes || []).forEach(node => {
+    if (node[key] === undefined || node[key] === null) {
+      throw new Error(`Graph export error: a node has no "${key}" key`);
+    }
+  });
+
+  return { key, source, target };
+}
+
+/**
+ * Export a graph to GraphML
+ * @param {Object} graph - Graph {nodes, edges, directed, key, source, target}
+ * @param {Object} options - Export options
+ * @param {string} options.key - Key field of a node (the graph's, else 'id')
+ * @param {string} options.source - Field of an edge holding its source key (the graph's, else 'source')
+ * @param {string} options.target - Field of an edge holding its target key (the graph's, else 'target')
+ * @returns {string} GraphML document
+ */
+function toGraphML(graph = {}, options = {}) {
+  const { key, source, target } = graphFields(graph, options);
+  const { nodes = [], edges = [], directed = false } = graph;
+  const nodeKeys = graphMLKeys(nodes, 'node', [key]);
+  const edgeKeys = graphMLKeys(edges, 'edge', [source, target]);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...nodeKeys.map(({ id, name, type }) =>
+      `  <key id="${escapeXml(id)}" for="node" attr.name="${escapeXml(name)}" attr.type="${type}"/>`),
+    ...edgeKeys.map(({ id, name, type }) =>
+      `  <key id="${escapeXml(id)}" for="edge" attr.name="${escapeXml(name)}" attr.type="${type}"/>`),
+    `  <graph id="G" edgedefault="${directed ? 'directed' : 'undirected'}">`,
+    ...nodes.map(node => `    <node id="${escapeXml(node[key])}">${graphMLData(node, nodeKeys)}</node>`),
+    ...edges.map((edge, index) =>
+      `    <edge id="e${index}" source="${escapeXml(edge[source])}" target="${escapeXml(edge[target])}">${graphMLData(edge, edgeKeys)}</edge>`),
+    '  </graph>',
+    '</graphml>'
+  ];
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Export a graph as a CSV adjacency list, or as an adjacency matrix
+ * The list has one row per node with the keys of its neighbors (the targets of its edges
+ * when the graph is directed) joined by `separator`. The matrix has a row and a column per
+ * node, with 1 where an edge joins them.
+ * @param {Object} graph - Graph {nodes, edges, directed, key, source, target}
+ * @param {Object} options - Export options, as for toCSV, plus:
+ * @param {boolean} options.matrix - Export an adjacency matrix instead of a list
+ * @param {string} options.separator - Separator of neighbor keys in a list (';' by default)
+ * @param {string} options.key - Key field of a node (the graph's, else 'id')
+ * @param {string} options.source - Field of an edge holding its source key (the graph's, else 'source')
+ * @param {string} options.target - Field of an edge holding its target key (the graph's, else 'target')
+ * @returns {string} CSV string
+ */
+function toAdjacencyCSV(graph = {}, options = {}) {
+  const { matrix = false, separator = ';' } = options;
+  const { key, source, target } = graphFields(graph, options);
+  const { nodes = [], edges = [], directed = false } = graph;
+  const ids = nodes.map(node => node[key]);
+  const neighbors = new Map(ids.map(id => [id, []]));
+  const neighborsOf = (id) => {
+    if (!neighbors.has(id)) throw new Error(`Graph export error: an edge joins unknown node "${id}"`);
+    return neighbors.get(id);
+  };
+
+  edges.forEach(edge => {
+    neighborsOf(edge[source]).push(edge[target]);
+    if (!directed) neighborsOf(edge[target]).push(edge[source]);
+  });
+
+  if (ids.length === 0) return '';
+
+  try {
+    if (matrix) {
+      // The header row and first column hold the node keys
+      const rows = ids.map(id => {
+        const linked = new Set(neighbors.get(id));
+        return [id, ...ids.map(other => (linked.has(other) ? 1 : 0))];
+      });
+      return stringify([['', ...ids], ...rows], csvOptions({ ...options, header: false, columns: undefined }));
+    }
+
+    const rows = ids.map(id => ({ node: id, neighbors: neighbors.get(id).join(separator) }));
+    return stringify(rows, csvOptions({ ...options, columns: ['node', 'neighbors'] }));
+  } catch (error) {
+    throw new Error(`CSV export error: ${error.message}`);
+  }
+}
+
 /**
  * Determine the appropriate export format based on file extension
  * @param {string} filePath - Path to the file
@@ -195,6 +401,8 @@ function getFormatFromFilename(filePath) {
       return 'csv';
     case '.sql':
       return 'sql';
+    case '.graphml':
+      return 'graphml';
     case '.json':
     default:
       return 'json';
@@ -204,7 +412,7 @@ function getFormatFromFilename(filePath) {
 /**
  * Export data to a specific format
  * @param {Array|Object} data - Data to export
- * @param {string} format - Export format (json, csv, sql)
+ * @param {string} format - Export format (json, csv, sql, or graphml and adjacency for graphs)
  * @param {Object} options - Export options
  * @returns {string} Formatted data as string
  */
@@ -214,16 +422,105 @@ function exportData(data, format = 'json', options = {}) {
       return toCSV(data, options);
     case 'sql':
       return toSQL(data, options);
+    case 'graphml':
+      return toGraphML(data, options);
+    case 'adjacency':
+      return toAdjacencyCSV(data, options);
     case 'json':
     default:
       return toJSON(data, options);
   }
 }
 
+/**
+ * Create a transform stream that serializes records incrementally
+ * Records are written in object mode and come out as text identical to what
+ * exportData produces for the same records, without holding them all in memory.
+ * @param {string} format - Export format (json, csv, sql)
+ * @param {Object} options - Format specific options, as for exportData
+ * @returns {Transform} Stream taking records and emitting text
+ */
+function createExportStream(format = 'json', options = {}) {
+  switch (format.toLowerCase()) {
+    case 'csv':
+      return csvStringifyStream(csvOptions(options));
+      
+    case 'sql': {
+      let started = false;
+      
+      return new Transform({
+        writableObjectMode: true,
+        transform(row, encoding, callback) {
+          let chunk = '';
+          
+          // The first record also drives the DROP/CREATE TABLE preamble
+          if (!started) {
+            started = true;
+            chunk += sqlPreamble(row, options);
+          }
+          
+          callback(null, chunk + sqlInsert(row, options));
+        }
+      });
+    }
+      
+    case 'json':
+    default: {
+      const { pretty = true, indent = 2 } = options;
+      let count = 0;
+      
+      return new Transform({
+        writableObjectMode: true,
+        transform(record, encoding, callback) {
+          const prefix = count === 0 ? '[' : ',';
+          count++;
+          
+          if (!pretty) {
+            return callback(null, prefix + JSON.stringify(record));
+          }
+          
+          // Indent each element the way JSON.stringify indents array members
+          const padding = typeof indent === 'number' ? ' '.repeat(indent) : indent;
+          const element = JSON.stringify(record, null, indent)
+            .split('\n')
+            .map(line => padding + line)
+            .join('\n');
+          callback(null, `${prefix}\n${element}`);
+        },
+        flush(callback) {
+          if (count === 0) return callback(null, '[]');
+          callback(null, pretty ? '\n]' : ']');
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Export a stream of records to a specific format incrementally
+ * @param {Readable|AsyncIterable|Iterable} source - Records to export
+ * @param {string} format - Export format (json, csv, sql)
+ * @param {Object} options - Format specific options
+ * @returns {Readable} Stream of formatted text
+ */
+function exportStream(source, format = 'json', options = {}) {
+  const input = source instanceof Readable ? source : Readable.from(source);
+  const output = createExportStream(format, options);
+  
+  // Surface generation errors on the output stream instead of leaving it hanging
+  input.on('error', error => output.destroy(error));
+  
+  return input.pipe(output);
+}
+
 module.exports = {
   toJSON,
   toCSV,
   toSQL,
+  toGraphML,
+  toAdjacencyCSV,
   getFormatFromFilename,
-  exportData
+  exportData,
+  createExportStream,
+  exportStream
 };
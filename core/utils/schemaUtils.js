@@ -5,6 +5,12 @@
 
 const Joi = require('joi');
 const _ = require('lodash');
+const { DISTRIBUTIONS } = require('../generators/distributions');
+const { getEnumValues } = require('../generators/fieldGenerators');
+const { planComputedFields } = require('../generators/expressions');
+const { planConstraints } = require('../generators/constraints');
+const { getRegisteredGenerator, validateGeneratorOptions } = require('../generators/registry');
+const { parseDefinitionRef, collectDefinitions, resolveDefinition } = require('../generators/definitions');
 
 /**
  * Basic schema structure validation using Joi
@@ -15,18 +21,115 @@ const schemaStructureSchema = Joi.object({
   fields: Joi.object().pattern(
     Joi.string(),
     Joi.object({
-      type: Joi.string().required(),
+      // Computed fields may leave out the type
+      type: Joi.string(),
+      // Value computed from other fields of the record, e.g. "price * quantity"
+      expression: Joi.string(),
+      // Text built from other fields of the record, e.g. "{{firstName}} {{lastName}}"
+      template: Joi.string(),
       name: Joi.string(),
       format: Joi.string(),
       required: Joi.boolean(),
-      min: Joi.number(),
-      max: Joi.number(),
+      unique: Joi.boolean(),
+      primaryKey: Joi.boolean(),
+      immutable: Joi.boolean(),
+      nullable: Joi.boolean(),
+      nullProbability: Joi.number().min(0).max(1),
+      omitProbability: Joi.number().min(0).max(1),
+      // Numeric bounds, or date bounds for date and datetime fields
+      min: Joi.alternatives().try(Joi.number(), Joi.date()),
+      max: Joi.alternatives().try(Joi.number(), Joi.date()),
       pattern: Joi.string(),
       values: Joi.array(),
+      // Shape of numeric values, or rank skew of enum values
+      distribution: Joi.alternatives().try(
+        Joi.string().valid(...DISTRIBUTIONS),
+        Joi.object({
+          type: Joi.string().valid(...DISTRIBUTIONS).required(),
+          mean: Joi.number(),
+          stddev: Joi.number().min(0),
+          mu: Joi.number(),
+          sigma: Joi.number().min(0),
+          rate: Joi.number().greater(0),
+          lambda: Joi.number().min(0),
+          s: Joi.number().greater(0),
+          n: Joi.number().integer().min(1)
+        })
+      ),
+      // Trend, seasonality, noise and spikes of a numeric field in a time series schema
+      series: Joi.object({
+        base: Joi.number(),
+        trend: Joi.number(),
+        daily: Joi.alternatives().try(
+          Joi.number(),
+          Joi.object({ amplitude: Joi.number(), peak: Joi.number().min(0).max(24) })
+        ),
+        weekly: Joi.alternatives().try(
+          Joi.number(),
+          Joi.object({ amplitude: Joi.number(), peak: Joi.number().min(0).max(7) })
+        ),
+        noise: Joi.number().min(0),
+        spikes: Joi.object({ probability: Joi.number().min(0).max(1), magnitude: Joi.number() })
+      }),
+      // Share of the field's values that are boundary and unusual values, or true/false for all/none
+      edgeCases: Joi.alternatives().try(Joi.boolean(), Joi.number().min(0).max(1)),
+      // Name of the persona or location a field shares with the other fields of its group, or false for none
+      group: Joi.alternatives().try(Joi.string(), Joi.boolean().valid(false)),
+      ref: Joi.string(),
+      field: Joi.string(),
+      range: Joi.string(),
+      timeZone: Joi.string(),
+      weekdaysOnly: Joi.boolean(),
+      businessHours: Joi.alternatives().try(
+        Joi.boolean(),
+        Joi.object({ start: Joi.number().min(0).max(24), end: Joi.number().min(0).max(24) })
+      ),
+      // Auto-increment values: first value, increment and how they are rendered
+      start: Joi.number(),
+      step: Joi.number(),
+      prefix: Joi.string().allow(''),
+      suffix: Joi.string().allow(''),
+      padding: Joi.number().integer().min(0),
+      // Namespace of version 5 UUIDs
+      namespace: Joi.string().guid(),
       items: Joi.object(),
-      properties: Joi.object()
+      properties: Joi.object(),
+      // Shared definition the field is generated from, e.g. '#/definitions/Comment'
+      $ref: Joi.string()
     })
-  )
+      .or('type', 'expression', 'template', '$ref')
+      .oxor('expression', 'template')
+      // Other type-specific generator options are checked by the generators themselves
+      .unknown(true)
+  ),
+  // Defaults for fields that do not set their own probabilities
+  nullProbability: Joi.number().min(0).max(1),
+  omitProbability: Joi.number().min(0).max(1),
+  // Composite keys whose combined values must be unique across generated records
+  primaryKey: Joi.array().items(Joi.string()),
+  uniqueKeys: Joi.array().items(Joi.array().items(Joi.string()).min(1)),
+  // Relations between fields that every generated record satisfies
+  constraints: Joi.array().items(Joi.alternatives().try(
+    Joi.string(),
+    Joi.object({ expression: Joi.string().required(), resample: Joi.array().items(Joi.string()) }),
+    Joi.object({ field: Joi.string().required(), when: Joi.string().required(), otherwise: Joi.string().valid('omit', 'null') }),
+    Joi.object({ sum: Joi.string().required(), equals: Joi.string().required(), adjust: Joi.string().valid('items', 'total') })
+  )),
+  // SQL CHECK conditions the parser could not turn into constraints, kept for reference
+  unsupportedChecks: Joi.array().items(Joi.string()),
+  // Shared definitions that `$ref` fields point at, and how deep recursion through them goes
+  definitions: Joi.object().pattern(Joi.string(), Joi.object()),
+  recursion: Joi.object({
+    maxDepth: Joi.number().integer().min(0),
+    maxBranching: Joi.number().integer().min(0)
+  }),
+  // Generate records as readings spaced `interval` apart, in time order
+  timeSeries: Joi.object({
+    timestamp: Joi.string().required(),
+    start: Joi.date(),
+    interval: Joi.alternatives().try(Joi.number().greater(0), Joi.string()),
+    jitter: Joi.alternatives().try(Joi.number().min(0), Joi.string())
+  })
 });
 
 /**
@@ -36,10 +139,75 @@ const schemaStructureSchema = Joi.object({
  */
 function validateSchema(schema) {
   const result = schemaStructureSchema.validate(schema);
+  let error = result.error ? result.error.message : null;
+  
+  // Expressions must parse, reference existing fields and not depend on each other in a cycle,
+  // constraints must only mention existing fields, registered field types check their options
+  // and `$ref` fields must point at existing definitions
+  if (!error && schema.fields) {
+    try {
+      validateComputedFields(schema.fields);
+      validateRegisteredFields(schema.fields);
+      validateDefinitionRefs(schema);
+      planConstraints(schema.constraints, schema.fields);
+    } catch (computedError) {
+      error = computedError.message;
+    }
+  }
+  
   return {
-    isValid: !result.error,
-    error: result.error ? result.error.message : null
+    isValid: !error,
+    error
+  };
+}
+
+/**
+ * Check the computed fields of a set of fields, including those of nested objects
+ * @param {object} fields - Field definitions by name
+ */
+function validateComputedFields(fields) {
+  planComputedFields(fields);
+  
+  Object.values(fields).forEach(fieldDef => {
+    if (fieldDef.properties) validateComputedFields(fieldDef.properties);
+    if (fieldDef.items && fieldDef.items.properties) validateComputedFields(fieldDef.items.properties);
+  });
+}
+
+/**
+ * Check the options of fields with registered types against the generators' options schemas
+ * @param {object} fields - Field definitions by name
+ */
+function validateRegisteredFields(fields) {
+  Object.values(fields).forEach(fieldDef => {
+    if (!fieldDef || typeof fieldDef !== 'object') return;
+    
+    const generator = getRegisteredGenerator(fieldDef.type);
+    if (generator) validateGeneratorOptions(generator, fieldDef);
+    
+    if (fieldDef.properties) validateRegisteredFields(fieldDef.properties);
+    if (fieldDef.items) validateRegisteredFields({ items: fieldDef.items });
+  });
+}
+
+/**
+ * Check that every `$ref` of a schema, in its fields or its definitions, resolves
+ * @param {object} schema - Schema with fields and definitions
+ */
+function validateDefinitionRefs(schema) {
+  const definitions = collectDefinitions(schema, schema.fields);
+  
+  const visit = (fieldDef) => {
+    if (!fieldDef || typeof fieldDef !== 'object') return;
+    
+    if (fieldDef.$ref) resolveDefinition(fieldDef, definitions);
+    if (fieldDef.fields) Object.values(fieldDef.fields).forEach(visit);
+    if (fieldDef.properties) Object.values(fieldDef.properties).forEach(visit);
+    if (fieldDef.items) visit(fieldDef.items);
   };
+  
+  Object.values(schema.fields).forEach(visit);
+  Object.values(schema.definitions || {}).forEach(visit);
 }
 
 /**
@@ -106,8 +274,15 @@ function toJsonSchema(schema) {
   
   // Process fields
   Object.entries(schema.fields).forEach(([name, field]) => {
+    // References to shared definitions stay references
+    if (field.$ref) {
+      result.properties[name] = { $ref: toDefinitionPointer(field.$ref) };
+      if (field.required) result.required.push(name);
+      return;
+    }
+    
     const property = {
-      type: field.type
+      type: field.nullable ? [field.type, 'null'] : field.type
     };
     
     // Add format if present
@@ -143,11 +318,13 @@ function toJsonSchema(schema) {
     
     // Handle enum values
     if (field.values) {
-      property.enum = field.values;
+      property.enum = getEnumValues(field);
     }
     
     // Handle array items
-    if (field.type === 'array' && field.items) {
+    if (field.type === 'array' && field.items && field.items.$ref) {
+      property.items = { $ref: toDefinitionPointer(field.items.$ref) };
+    } else if (field.type === 'array' && field.items) {
       property.items = {
         type: field.items.type || 'string'
       };
@@ -191,9 +368,24 @@ function toJsonSchema(schema) {
     delete result.required;
   }
   
+  if (schema.definitions) {
+    result.definitions = _.mapValues(schema.definitions, (definition, name) => (definition.fields
+      ? _.omit(toJsonSchema({ fields: definition.fields }), 'title')
+      : toJsonSchema({ fields: { [name]: definition } }).properties[name]));
+  }
+  
   return result;
 }
 
+/**
+ * Turn a `$ref` into a pointer at the `definitions` written by toJsonSchema
+ * @param {string} ref - Pointer or definition name
+ * @returns {string} JSON Schema pointer
+ */
+function toDefinitionPointer(ref) {
+  return ref === '#' ? ref : `#/definitions/${parseDefinitionRef(ref)}`;
+}
+
 /**
  * Extract a subset of fields from a schema
  * @param {object} schema - Source schema